@@ -0,0 +1,8 @@
+import * as React from "react";
+
+/**
+ * @param {{ translation: import("plugin-api").ITranslation }} props
+ */
+export function __ComponentName__(props) {
+    return <div>__ComponentName__</div>;
+}
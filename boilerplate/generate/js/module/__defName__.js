@@ -0,0 +1,8 @@
+/** @type {import("plugin-api").IModuleDef<any, {}>} */
+export const __defName__ = {
+    contextType: {},
+    dataAdapters: [],
+
+    getContentComponent: async () => import("./__ComponentName__").then(({ __ComponentName__ }) => __ComponentName__),
+    getContentProps: data => ({ translation: data.translation })
+};
@@ -0,0 +1,14 @@
+import * as React from "react";
+
+/**
+ * @param {import("plugin-api").IPageTemplateProps<string>} props
+ */
+export function __ComponentName__(props) {
+    let slots = props.slots || {};
+
+    return <div>
+        {Object.keys(slots).map(slotName => <div key={slotName}>
+            {slots[slotName]}
+        </div>)}
+    </div>;
+}
@@ -0,0 +1,10 @@
+/** @type {import("plugin-api").IPageDef<string, {}>} */
+export const __defName__ = {
+    contextType: {},
+    paths: {
+        "/__name__": () => ({})
+    },
+
+    buildCanonicalUrl: () => "/__name__",
+    getPageTemplate: async () => import("./__ComponentName__").then(({ __ComponentName__ }) => __ComponentName__)
+};
@@ -0,0 +1,12 @@
+import * as React from "react";
+import { ITranslation } from "plugin-api";
+
+export interface I__ComponentName__Props {
+    translation: ITranslation;
+}
+
+export class __ComponentName__ extends React.Component<I__ComponentName__Props> {
+    render() {
+        return <div>__ComponentName__</div>;
+    }
+}
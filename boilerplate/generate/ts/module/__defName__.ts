@@ -0,0 +1,10 @@
+import { IModuleDef } from "plugin-api";
+import { I__ComponentName__Props } from "./__ComponentName__";
+
+export const __defName__: IModuleDef<I__ComponentName__Props, {}> = {
+    contextType: {},
+    dataAdapters: [],
+
+    getContentComponent: async () => import("./__ComponentName__").then(({ __ComponentName__ }) => __ComponentName__),
+    getContentProps: data => ({ translation: data.translation })
+};
@@ -0,0 +1,12 @@
+import * as React from "react";
+import { IPageTemplateProps } from "plugin-api";
+
+export class __ComponentName__ extends React.Component<IPageTemplateProps<string>> {
+    render() {
+        return <div>
+            {Object.keys(this.props.slots || {}).map(slotName => <div key={slotName}>
+                {this.props.slots[slotName]}
+            </div>)}
+        </div>;
+    }
+}
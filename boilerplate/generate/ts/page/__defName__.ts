@@ -0,0 +1,11 @@
+import { IPageDef } from "plugin-api";
+
+export const __defName__: IPageDef<string, {}> = {
+    contextType: {},
+    paths: {
+        "/__name__": () => ({})
+    },
+
+    buildCanonicalUrl: () => "/__name__",
+    getPageTemplate: async () => import("./__ComponentName__").then(({ __ComponentName__ }) => __ComponentName__)
+};
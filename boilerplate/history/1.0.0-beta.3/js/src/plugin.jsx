@@ -0,0 +1,17 @@
+const plugin = {
+    init(config, api, logger, publicPath) {
+        __webpack_public_path__ = publicPath;
+
+        // Add module, page definitions and others here
+    },
+
+    getAvailableLocales() {
+        return ["en-US"];
+    },
+
+    async loadTranslations(locale) {
+        return await import("./translation/" + locale + ".json");
+    }
+};
+
+export default plugin;
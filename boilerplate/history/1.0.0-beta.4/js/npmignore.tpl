@@ -0,0 +1,2 @@
+.*
+webpack.config*.js
@@ -0,0 +1,5 @@
+npm-debug.log
+node_modules
+dist
+.idea
+.DS_Store
@@ -0,0 +1,4 @@
+.*
+tslint*.json
+tsconfig.json
+webpack.config*.js
@@ -0,0 +1,491 @@
+// @ts-check
+const fs = require("fs-extra");
+const path = require("path");
+const commander = require('commander');
+const acp = require("./index.js");
+
+const {
+    UserError, errorExitCodes, getErrorCode, defaultTargetPath, defaultDevServerPort, defaultDevServerHost,
+    pluginsFileName, lockfileName, cacheEnvVar
+} = acp;
+
+/**
+ * A failed command that still produced a result, which is printed in JSON mode before the error
+ */
+class CommandFailure extends UserError {
+    constructor(
+        /** @type string */ message,
+        /** @type {import("./index.js").ErrorCode} */ code,
+        /** @type any */ result
+    ) {
+        super(message, code);
+        this.result = result;
+    }
+}
+
+/**
+ * Runs a command action. In JSON mode, its result is printed as a final "result" event. Failures are printed as an
+ * "error" event (or an error message on stderr) and exit with the exit code of the error.
+ */
+function wrapErrors(/** @type {(...args: any[]) => Promise<any>} */fn) {
+    return (...args) => fn(...args).then(result => {
+        if (json && result !== void 0) {
+            writeEvent({ type: "result", result });
+        }
+    }).catch(e => {
+        let code = getErrorCode(e);
+        if (json) {
+            if (e instanceof CommandFailure) {
+                writeEvent({ type: "result", result: e.result });
+            }
+            writeEvent({ type: "error", code, exitCode: errorExitCodes[code], message: e.message });
+        }
+        if (code === "EINTERNAL") {
+            process.stderr.write(e.stack + "\n");
+        } else if (!json) {
+            process.stderr.write(`Error: ${e.message}\n`);
+        }
+        process.exit(errorExitCodes[code]);
+    });
+}
+
+/**
+ * Writes an event to stdout as a line of JSON
+ */
+function writeEvent(/** @type {import("./index.js").AcpEvent} */ event) {
+    process.stdout.write(JSON.stringify(event) + "\n");
+}
+
+/** @type {import("./index.js").Logger} */
+let jsonLogger = {
+    info: message => message.trim() && writeEvent({ type: "log", level: "info", message: message.trim() }),
+    warn: message => writeEvent({ type: "log", level: "warn", message })
+};
+
+/**
+ * Options for the API calls that route log messages and progress events to the JSON event stream in JSON mode
+ */
+function outputOptions() {
+    return json ? { logger: jsonLogger, onEvent: writeEvent } : {};
+}
+
+function formatTable(/** @type string[][] */ rows) {
+    let widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    return rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimRight() + "\n").join("");
+}
+
+/**
+ * Adds the options for building plugins from source to a command
+ */
+function withBuildOptions(/** @type commander.Command */ command) {
+    return command
+        .option("--clean-env", "build plugins from source with only the environment variables that npm needs " +
+            "(PATH, HOME, temp folders etc.), so that build scripts can't read credentials or other secrets")
+        .option("--keep-env <names>", "comma-separated environment variables to keep with --clean-env")
+        .option("--build-timeout <seconds>", "abort building plugins from source if it takes longer than this")
+        .option("--build-log <file>", "write the output of the plugin build to a file, instead of the console");
+}
+
+function getBuildOptions(/** @type any */ cmd) {
+    let buildTimeout = cmd.buildTimeout !== void 0 ? Number(cmd.buildTimeout) : void 0;
+    if (buildTimeout !== void 0 && !(buildTimeout > 0)) {
+        throw new UserError(`Invalid build timeout "${cmd.buildTimeout}".`);
+    }
+    return {
+        cleanEnv: cmd.cleanEnv,
+        keepEnv: cmd.keepEnv ? String(cmd.keepEnv).split(",").map(name => name.trim()).filter(name => name) : [],
+        buildTimeout,
+        buildLog: cmd.buildLog
+    };
+}
+
+let dryRun = false;
+/** @type {string | undefined} */
+let cache;
+let offline = false;
+/** @type {string | undefined} */
+let hostConfig;
+/** @type {string | undefined} */
+let registry;
+let json = false;
+
+let program = new commander.Command();
+program
+    .name("acp")
+    .description("Alethio CMS Plugin tool\n\nacp [command] -h for help on a specific command.")
+    .version(JSON.parse(fs.readFileSync(path.join(__dirname, "package.json"), "utf-8")).version)
+    .option("--dry-run", "only print the filesystem changes that 'install', 'uninstall', 'update' " +
+        "and 'link' would make, without touching the target folder")
+    .option("--cache <dir>", "keep fetched plugin packages in a persistent cache folder, instead of a temporary one. " +
+        `Defaults to the ${cacheEnvVar} environment variable.`)
+    .option("--offline", "fetch plugin packages only from the persistent cache, without network access")
+    .option("--registry <url>", "fetch plugin packages from this npm registry, instead of the one set in the npm " +
+        "config. Scoped registries from the npm config still apply")
+    .option("--host-config <file>", "whenever the target folder changes, also write a host app config fragment " +
+        "that enables the installed plugins")
+    .option("--json", "print progress events and the command result as JSON lines (NDJSON) on stdout, " +
+        "instead of text");
+
+program.on("option:dry-run", () => {
+    dryRun = true;
+});
+program.on("option:cache", (/** @type string */ dir) => {
+    cache = dir;
+});
+program.on("option:offline", () => {
+    offline = true;
+});
+program.on("option:registry", (/** @type string */ url) => {
+    registry = url;
+});
+program.on("option:host-config", (/** @type string */ file) => {
+    hostConfig = file;
+});
+program.on("option:json", () => {
+    json = true;
+});
+
+withBuildOptions(program
+    .command("install [npm_package_spec...]")
+    .alias("i")
+    .description("Installs one or more plugins in a local folder. " +
+        `If no plugins are given, installs the plugins declared in "${pluginsFileName}" or in the "acp" ` +
+        `section of package.json and records them in "${lockfileName}".`, {
+        "npm_package_spec": "Anything that npm recognizes (npm package, github handle, local path etc.)"
+    })
+    .option("-t, --target <target_path>", "where to install the plugin", defaultTargetPath)
+    .option("-d, --dev", "install plugin in dev mode (no <plugin>/<version> folder nesting)")
+    .option("--host-version <version>", "@alethio/cms version of the host app, used for checking plugin " +
+        "compatibility. Detected from the current project's node_modules by default.")
+    .option("-f, --force", "install plugins even if they are not compatible with the host app")
+    .option("-j, --concurrency <n>", "number of plugins to fetch and build in parallel", "1"))
+    .action(wrapErrors(async (npmPackageSpecs, cmd) => {
+        let concurrency = Number(cmd.concurrency);
+        if (isNaN(concurrency)) {
+            throw new UserError(`Invalid concurrency "${cmd.concurrency}".`);
+        }
+        let result = await acp.install(npmPackageSpecs, {
+            target: cmd.target, dev: cmd.dev, hostVersion: cmd.hostVersion, force: cmd.force, concurrency,
+            dryRun, cache, offline, registry, hostConfig, ...getBuildOptions(cmd), ...outputOptions()
+        });
+
+        let { failures } = result;
+        if (failures.length) {
+            throw new CommandFailure(`${failures.length} plugin(s) failed to install.`, failures[0].code, result);
+        }
+        return result;
+    }));
+
+program
+    .command("link <plugin_dir...>")
+    .description("Installs one or more plugins via symlinks for development purposes.", {
+        "plugin_dir": "A local folder that contains a plugin manifest."
+    })
+    .option("-t, --target <target_path>", "where to link the plugin", defaultTargetPath)
+    .action(wrapErrors(async (pluginDirs, cmd) => {
+        return await acp.link(pluginDirs, { target: cmd.target, dryRun, hostConfig, ...outputOptions() });
+    }));
+
+program
+    .command("dev <plugin_dir...>")
+    .description("Links one or more plugins and runs their \"watch\" scripts, rebuilding them on every change.", {
+        "plugin_dir": "A local folder that contains a plugin manifest."
+    })
+    .option("-t, --target <target_path>", "where to link the plugin", defaultTargetPath)
+    .option("-s, --serve <host_dir>", "serve the host app folder over HTTP and reload the page " +
+        "whenever a linked plugin is rebuilt")
+    .option("-p, --port <port>", "port of the HTTP server", String(defaultDevServerPort))
+    .option("-H, --host <host>", "address the HTTP server listens on (e.g. 0.0.0.0 to make it reachable from " +
+        "other machines)", defaultDevServerHost)
+    .action(wrapErrors(async (pluginDirs, cmd) => {
+        let { close } = await acp.dev(pluginDirs, {
+            target: cmd.target, serve: cmd.serve, port: Number(cmd.port), host: cmd.host, dryRun, hostConfig,
+            ...outputOptions()
+        });
+        for (let signal of ["SIGINT", "SIGTERM"]) {
+            process.on(signal, () => {
+                close();
+                process.exit(0);
+            });
+        }
+    }));
+
+program
+    .command("uninstall <plugin...>")
+    .alias("remove")
+    .description("Uninstall a plugin from the target folder.", {
+        "plugin": "An installed plugin, as publisher/plugin_name[@version_or_range] (wildcards * and ? are " +
+            "supported, e.g. 'publisher/*'), or anything that npm recognizes (npm package, 'github:' handle, " +
+            "local path etc.), which is fetched to find the plugin it contains."
+    })
+    .option("-t, --target <target_path>", "Path where the plugin is installed. " +
+        "Same as the target path provided to 'install' command.", defaultTargetPath)
+    .option("-a, --all", "Remove all installed plugin versions, instead of just one.")
+    .action(wrapErrors(async (npmPackageSpecs, cmd) => {
+        return await acp.uninstall(npmPackageSpecs, {
+            target: cmd.target, all: cmd.all, dryRun, cache, offline, registry, hostConfig, ...outputOptions()
+        });
+    }));
+
+program
+    .command("prune")
+    .description("Removes old plugin versions from the target folder, together with links whose source folder " +
+        "no longer exists and broken installs, and prints the reclaimed disk space.")
+    .option("-t, --target <target_path>", "Path where the plugins are installed. " +
+        "Same as the target path provided to 'install' command.", defaultTargetPath)
+    .option("-k, --keep <n>", "number of newest versions to keep for each plugin", "1")
+    .option("-r, --keep-referenced <file>", "also keep the plugin versions used by the host app, as recorded in an " +
+        `"${lockfileName}" lockfile or referenced in a config file by URI (plugin://publisher/plugin_name?v=1.0.0)`)
+    .action(wrapErrors(async (cmd) => {
+        let keep = Number(cmd.keep);
+        if (isNaN(keep)) {
+            throw new UserError(`Invalid number of versions to keep "${cmd.keep}".`);
+        }
+        return await acp.prune({
+            target: cmd.target, keep, keepReferenced: cmd.keepReferenced, dryRun, hostConfig, ...outputOptions()
+        });
+    }));
+
+withBuildOptions(program
+    .command("pack")
+    .description("Packs the plugin in the current folder into a deployable archive. " +
+        "The archive can be installed with 'acp install <archive_path>', without network access or rebuilding.")
+    .option("-o, --out-dir <dir>", "where to write the archive", "."))
+    .action(wrapErrors(async (cmd) => {
+        return await acp.pack({ outDir: cmd.outDir, ...getBuildOptions(cmd), ...outputOptions() });
+    }));
+
+program
+    .command("list")
+    .alias("ls")
+    .description("Lists the plugins installed or linked in the target folder.")
+    .option("-t, --target <target_path>", "Path where the plugins are installed. " +
+        "Same as the target path provided to 'install' command.", defaultTargetPath)
+    .action(wrapErrors(async (cmd) => {
+        let targetDir = path.resolve(cmd.target);
+        let result = await acp.list({ target: cmd.target, ...outputOptions() });
+        if (json) {
+            return result;
+        }
+
+        let { plugins } = result;
+
+        if (!plugins.length) {
+            process.stdout.write(`No plugins found in "${targetDir}".\n`);
+            return;
+        }
+
+        process.stdout.write(`Plugins in "${targetDir}":\n\n`);
+        for (let { publisher, pluginName, type, versions, linkTarget } of plugins) {
+            let details = type === "link" ? `linked -> ${linkTarget}` :
+                type === "flat" ? `dev install` :
+                `versions: ${versions.join(", ")}`;
+            process.stdout.write(`${publisher}/${pluginName} (${details})\n`);
+        }
+    }));
+
+program
+    .command("verify")
+    .description("Verifies that the installed plugin files match the checksums recorded at install time.")
+    .option("-t, --target <target_path>", "Path where the plugins are installed. " +
+        "Same as the target path provided to 'install' command.", defaultTargetPath)
+    .action(wrapErrors(async (cmd) => {
+        let result = await acp.verify({ target: cmd.target, ...outputOptions() });
+
+        if (result.failed) {
+            throw new CommandFailure(`${result.failed} plugin installation(s) failed verification.`, "EINTEGRITY",
+                result);
+        }
+        return result;
+    }));
+
+program
+    .command("validate")
+    .alias("doctor")
+    .description("Checks the plugin in the current folder for problems that would break its build, install or " +
+        "loading in the CMS. Reports every problem found and fails if there are any.")
+    .action(wrapErrors(async () => {
+        let result = await acp.validate(outputOptions());
+
+        if (result.problems.length) {
+            throw new CommandFailure(`Plugin validation failed.`, "ECHECK", result);
+        }
+        return result;
+    }));
+
+program
+    .command("inspect")
+    .description("Inspects the built bundle of the plugin in the current folder. Checks the JSONP library name, " +
+        "detects inlined copies of libraries shared with the CMS (React, MobX) and reports the size of each chunk.")
+    .option("--max-chunk-size <kilobytes>", "fail if any chunk is larger than the given size")
+    .action(wrapErrors(async (cmd) => {
+        let maxChunkSize = cmd.maxChunkSize !== void 0 ? Number(cmd.maxChunkSize) * 1024 : void 0;
+        if (maxChunkSize !== void 0 && isNaN(maxChunkSize)) {
+            throw new UserError(`Invalid chunk size "${cmd.maxChunkSize}".`);
+        }
+
+        let result = await acp.inspect({ maxChunkSize, ...outputOptions() });
+
+        if (result.problems.length) {
+            throw new CommandFailure(`Plugin bundle inspection failed.`, "ECHECK", result);
+        }
+        return result;
+    }));
+
+program
+    .command("outdated")
+    .description("Checks the installed plugins for newer versions.")
+    .option("-t, --target <target_path>", "Path where the plugins are installed. " +
+        "Same as the target path provided to 'install' command.", defaultTargetPath)
+    .action(wrapErrors(async (cmd) => {
+        let result = await acp.outdated({ target: cmd.target, cache, offline, registry, ...outputOptions() });
+        let { plugins, failures } = result;
+
+        if (!json && !plugins.length && !failures.length) {
+            process.stdout.write(`All plugins are up to date.\n`);
+        } else if (!json && plugins.length) {
+            let rows = [["Plugin", "Current", "Wanted", "Latest", "Source"]];
+            for (let status of plugins) {
+                rows.push([
+                    `${status.publisher}/${status.pluginName}`,
+                    status.current, status.wanted, status.latest, status.spec
+                ]);
+            }
+            process.stdout.write(formatTable(rows));
+        }
+
+        if (failures.length) {
+            throw new CommandFailure(`${failures.length} plugin(s) could not be checked for updates.`,
+                failures[0].code, result);
+        }
+        return result;
+    }));
+
+withBuildOptions(program
+    .command("update [plugin...]")
+    .description("Updates the installed plugins to the newest version matching the spec they were installed from.", {
+        "plugin": "Installed plugin identifier (e.g. publisher/plugin_name). If omitted, all plugins are updated."
+    })
+    .option("-t, --target <target_path>", "Path where the plugins are installed. " +
+        "Same as the target path provided to 'install' command.", defaultTargetPath)
+    .option("-p, --prune", "Remove the versions older than the updated one after a successful update.")
+    .option("--host-version <version>", "@alethio/cms version of the host app, used for checking plugin " +
+        "compatibility. Detected from the current project's node_modules by default.")
+    .option("-f, --force", "Update plugins even if the new versions are not compatible with the host app."))
+    .action(wrapErrors(async (pluginIds, cmd) => {
+        let result = await acp.update(pluginIds, {
+            target: cmd.target, prune: cmd.prune, hostVersion: cmd.hostVersion, force: cmd.force,
+            dryRun, cache, offline, registry, hostConfig, ...getBuildOptions(cmd), ...outputOptions()
+        });
+
+        let { failures } = result;
+        if (failures.length) {
+            throw new CommandFailure(`${failures.length} plugin(s) failed to update.`, failures[0].code, result);
+        }
+        return result;
+    }));
+
+program
+    .command("init <publisher> <plugin_name> [npm_package_name]")
+    .description("Generates plugin boilerplate in the current folder. IMPORTANT: Folder must be empty.", {
+        "npm_package_name": "Package name that will be used in the generated package.json. Useful if the plugin will be distributed via npm.",
+        "publisher": "A handle identifying the publisher of the plugin. It should be something unique, like the domain-name of an organization or a user's GitHub handle.",
+        "plugin_name": "The name of the plugin. The CMS will reference the plugin by this name, together with the publisher (e.g. plugin://publisher/plugin_name)."
+    })
+    .option("--js", "should the init command generate JavaScript boilerplate instead of TypeScript boilerplate?")
+    .option("--template <spec>", "use a custom boilerplate template instead of the built-in ones. " +
+        "Anything that npm recognizes (npm package, github handle, local path etc.)")
+    .action(wrapErrors(async (publisher, pluginName, npmPackageName = "", cmd) => {
+        return await acp.init({
+            publisher, pluginName, npmPackageName, js: cmd.js, template: cmd.template, cache, offline, registry,
+            ...outputOptions()
+        });
+    }));
+
+program
+    .command("rename <publisher> <plugin_name> [npm_package_name]")
+    .description("Renames the plugin, by updating all references in the plugin manifest and webpack configuration", {
+        "npm_package_name": "Package name that will be used in the generated package.json. Useful if the plugin will be distributed via npm.",
+        "publisher": "A handle identifying the publisher of the plugin. It should be something unique, like the domain-name of an organization or a user's GitHub handle.",
+        "plugin_name": "The name of the plugin. The CMS will reference the plugin by this name, together with the publisher (e.g. plugin://publisher/plugin_name)."
+    })
+    .action(wrapErrors(async (publisher, pluginName, npmPackageName = "") => {
+        return await acp.rename({ publisher, pluginName, npmPackageName, ...outputOptions() });
+    }));
+
+program
+    .command("generate <kind> <name>")
+    .alias("g")
+    .description("Scaffolds a new module, page or locale in the plugin from the current folder and registers it " +
+        "in the plugin entry point.", {
+        "kind": `What to generate. One of: ${acp.generatorKinds.join(", ")}.`,
+        "name": "Module or page name (lowercase letters, numbers and hyphens) or locale code (e.g. de-DE)."
+    })
+    .action(wrapErrors(async (kind, name) => {
+        return await acp.generate(kind, name, outputOptions());
+    }));
+
+program
+    .command("upgrade-boilerplate [plugin_dir...]")
+    .description("Upgrades the webpack config, package.json, tsconfig and ignore files of plugins generated with an " +
+        "older 'acp init' to the current boilerplate, merging in local changes. Conflicting files are reported and " +
+        "left unchanged.", {
+        "plugin_dir": "A local plugin folder. Defaults to the current folder."
+    })
+    .action(wrapErrors(async (pluginDirs) => {
+        let result = await acp.upgradeBoilerplate(pluginDirs, { dryRun, ...outputOptions() });
+
+        if (result.conflicts) {
+            throw new CommandFailure(`${result.conflicts} plugin(s) have conflicting changes. Merge them manually.`,
+                "ECONFLICT", result);
+        }
+        return result;
+    }));
+
+program
+    .command("cache <action> [npm_package_spec...]")
+    .description("Manages the persistent package cache used by '--cache' and '--offline'. Actions: " +
+        "'add' fetches plugins into the cache (by default, the plugins declared in " +
+        `"${pluginsFileName}" or package.json, at their locked versions), 'ls' lists the cached packages and ` +
+        "'clean' empties the cache.", {
+        "action": "One of: add, ls, clean.",
+        "npm_package_spec": "Plugins to cache with 'add'. Any npm registry package spec or tarball URL."
+    })
+    .action(wrapErrors(async (action, npmPackageSpecs, cmd) => {
+        // After running the action, commander 2 looks up the first remaining argument as a command alias, so
+        // "cache ls" would also run "acp ls". Consume the arguments to prevent that.
+        cmd.parent.args.splice(0);
+
+        if (action === "add") {
+            return await acp.cacheAdd(npmPackageSpecs, { cache, offline, registry, ...outputOptions() });
+        } else if (action === "ls" || action === "list") {
+            let result = await acp.cacheList({ cache, ...outputOptions() });
+            if (json) {
+                return result;
+            }
+            let { cacheDir, packages } = result;
+            if (!packages.length) {
+                process.stdout.write(`No packages found in "${cacheDir}".\n`);
+                return;
+            }
+            process.stdout.write(formatTable([
+                ["Package", "Version", "Resolved"],
+                ...packages.map(p => [p.name, p.version, p.resolved])
+            ]));
+        } else if (action === "clean") {
+            return await acp.cacheClean({ cache, dryRun, ...outputOptions() });
+        } else {
+            throw new UserError(`Unknown cache action "${action}". Use one of: add, ls, clean.`);
+        }
+    }));
+
+program.on("command:*", () => {
+    program.outputHelp();
+    process.exit(1);
+});
+
+program.parse(process.argv);
+
+if (process.argv.length < 3) {
+    program.help();
+}
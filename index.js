@@ -6,472 +6,4017 @@ const child_process = require("child_process");
 const pacote = require("pacote");
 const validateNpmPackageName = require("validate-npm-package-name");
 const tar = require("tar");
-const commander = require('commander');
 const crypto = require("crypto");
+const semver = require("semver");
+const npa = require("npm-package-arg");
+const diff3 = require("node-diff3");
+const cacache = require("cacache");
+const ini = require("ini");
+const acorn = require("acorn");
+const acornWalk = require("acorn-walk");
+const http = require("http");
+const readline = require("readline");
+const zlib = require("zlib");
 
-function wrapErrors(/** @type {(...args: any[]) => Promise<any>} */fn) {
-    return (...args) => fn(...args).catch(e => {
-        process.stderr.write(e instanceof UserError ? `Error: ${e.message}\n` : e.stack + "\n");
-        process.exit(1);
+/**
+ * @typedef {"EINVALID" | "EMANIFEST" | "EBUILD" | "ECONFLICT" | "ENETWORK" | "EINCOMPATIBLE" | "EINTEGRITY" |
+ *  "ECHECK" | "EDEPENDENCY" | "EINTERNAL"} ErrorCode
+ */
+
+/**
+ * Process exit codes of the CLI for each kind of failure. Errors that are not a UserError are bugs ("EINTERNAL").
+ * @type {{ [code in ErrorCode]: number }}
+ */
+let errorExitCodes = {
+    /** Invalid arguments, options or host app configuration */
+    EINVALID: 1,
+    /** Missing or invalid plugin manifest, plugin project files or template */
+    EMANIFEST: 3,
+    /** Building the plugin from source failed */
+    EBUILD: 4,
+    /** The target already exists or is claimed by something else */
+    ECONFLICT: 5,
+    /** The package couldn't be fetched (registry errors, git failures, no network, missing from the offline cache) */
+    ENETWORK: 6,
+    /** The plugin doesn't support the host app version */
+    EINCOMPATIBLE: 7,
+    /** Checksums of packed or installed plugin files don't match */
+    EINTEGRITY: 8,
+    /** A check command (validate, inspect) found problems */
+    ECHECK: 9,
+    /** Plugin dependencies can't be satisfied (missing, conflicting versions or cycles) */
+    EDEPENDENCY: 10,
+    EINTERNAL: 70
+};
+
+/**
+ * An error caused by the user input or environment, rather than a bug. Its message is shown to the user as is.
+ */
+class UserError extends Error {
+    constructor(/** @type string */ message, /** @type ErrorCode */ code = "EINVALID") {
+        super(message);
+        this.code = code;
+    }
+}
+
+function getErrorCode(/** @type Error */ e) {
+    return e instanceof UserError ? e.code : "EINTERNAL";
+}
+
+let defaultTargetPath = path.join("dist", "plugins");
+let defaultDevServerPort = 8080;
+/** The dev server is only reachable from this machine, unless another host is given */
+let defaultDevServerHost = "127.0.0.1";
+let pluginsFileName = "acp-plugins.json";
+let lockfileName = "acp-plugins-lock.json";
+let installMetadataFileName = ".acp-install.json";
+let cmsPackageName = "@alethio/cms";
+let packMetadataFileName = "acp-pack.json";
+let packedDistDir = "dist";
+let generatorKinds = ["module", "page", "locale"];
+let templateManifestFileName = "acp-template.json";
+let cacheEnvVar = "ACP_CACHE";
+let pluginIndexFileName = "plugins.json";
+/** Error codes of failed connections, which are reported as network errors */
+let networkErrorCodes = ["ENOTFOUND", "EAI_AGAIN", "ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ENETUNREACH"];
+
+/**
+ * Version of the built-in boilerplates. When changing boilerplate/js or boilerplate/ts, bump it and copy the previous
+ * files to boilerplate/history/<previous_version>/<js|ts> (with boilerplate/git/gitignore.tpl as gitignore.tpl), so
+ * that upgrade-boilerplate can use them as the merge base for plugins generated from them.
+ */
+let boilerplateVersion = "1.0.0-beta.5";
+/** Time limit for generating a plugin manifest with the plugin's own plugin-api package, in milliseconds */
+let manifestGeneratorTimeout = 30000;
+/** Boilerplate files that upgrade-boilerplate merges into existing plugins */
+let upgradableBoilerplateFiles = ["package.json", "webpack.config.js", "tsconfig.json", ".gitignore", ".npmignore"];
+
+/**
+ * Environment variables kept when building with a clean environment, needed by npm and the OS
+ */
+let buildEnvAllowlist = [
+    "PATH", "Path", "HOME", "USERPROFILE", "APPDATA", "LOCALAPPDATA", "SystemRoot", "ComSpec", "PATHEXT",
+    "TEMP", "TMP", "TMPDIR", "LANG", "TERM"
+];
+
+/**
+ * Libraries provided by the CMS at runtime, which plugins must declare as webpack externals. Each one is detected in
+ * a bundle by its module path (development builds) or by a property that only the library itself defines.
+ */
+/** @type {Object.<string, RegExp[]>} */
+let sharedLibrarySignatures = {
+    "react": [/node_modules[\\/]react[\\/]/, /__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED\s*:/],
+    "react-dom": [/node_modules[\\/]react-dom[\\/]/, /unstable_renderSubtreeIntoContainer\s*:/],
+    "mobx": [/node_modules[\\/]mobx[\\/]/, /__mobxInstanceCount/],
+    "mobx-react": [/node_modules[\\/]mobx-react[\\/]/, /\[mobx-react\]/]
+};
+
+/**
+ * @typedef {{ info(message: string): void; warn(message: string): void }} Logger
+ *
+ * Progress event, such as { type: "installed", publisher, pluginName, version, path }
+ * @typedef {{ type: string; [key: string]: any }} AcpEvent
+ *
+ * @typedef {{
+ *  logger: Logger; onEvent?: (event: AcpEvent) => void; dryRun: boolean; cacheDir?: string; offline: boolean;
+ *  logPrefix?: string; hostConfigPath?: string; registry?: string;
+ * }} Context
+ *
+ * @typedef {{
+ *  cwd?: string;
+ *  target?: string;
+ *  dryRun?: boolean;
+ *  logger?: Logger;
+ *  onEvent?: (event: AcpEvent) => void;
+ *  cache?: string;
+ *  offline?: boolean;
+ *  hostConfig?: string;
+ *  registry?: string;
+ * }} CommonOptions
+ *
+ * Options for building plugins from source (e.g. when installed from git)
+ * @typedef {{
+ *  cleanEnv?: boolean;
+ *  keepEnv?: string[];
+ *  buildTimeout?: number;
+ *  buildLog?: string;
+ * }} BuildOptions
+ */
+
+/** @type Logger */
+let consoleLogger = {
+    info: message => process.stdout.write(message + "\n"),
+    warn: message => process.stderr.write(`Warning: ${message}\n`)
+};
+
+function createContext(/** @type CommonOptions */ options) {
+    /** @type Context */
+    let ctx = {
+        logger: options.logger || consoleLogger,
+        onEvent: options.onEvent,
+        dryRun: !!options.dryRun,
+        offline: !!options.offline,
+        registry: options.registry
+    };
+    let cacheDir = options.cache || process.env[cacheEnvVar];
+    if (cacheDir) {
+        ctx.cacheDir = path.resolve(resolveCwd(options), cacheDir);
+    }
+    if (options.registry && !/^https?:\/\//.test(options.registry)) {
+        throw new UserError(`Invalid registry URL "${options.registry}".`);
+    }
+    if (options.hostConfig) {
+        ctx.hostConfigPath = path.resolve(resolveCwd(options), options.hostConfig);
+    }
+    if (ctx.offline && !ctx.cacheDir) {
+        throw new UserError(`Offline mode needs a package cache. ` +
+            `Set it with the "cache" option or the ${cacheEnvVar} environment variable.`);
+    }
+    return ctx;
+}
+
+/**
+ * Reports an event to the onEvent callback. In dry-run mode, events are marked with "dryRun: true", since the changes
+ * they describe weren't made.
+ */
+function emitEvent(/** @type Context */ ctx, /** @type AcpEvent */ event) {
+    if (ctx.onEvent) {
+        ctx.onEvent(ctx.dryRun ? { ...event, dryRun: true } : event);
+    }
+}
+
+/**
+ * Stdio of the npm processes we run. When events are consumed, their output goes to stderr, to keep stdout clean for
+ * the event stream.
+ */
+function getChildStdio(/** @type Context */ ctx) {
+    return ctx.onEvent ? /** @type {child_process.StdioOptions} */(["inherit", 2, 2]) : "inherit";
+}
+
+/**
+ * Returns a context whose logger labels every line with the given prefix, for interleaved output of parallel tasks
+ */
+function withLogPrefix(/** @type Context */ ctx, /** @type string */ logPrefix) {
+    let prefixLines = (/** @type string */ message) => message.split("\n")
+        .filter(line => line)
+        .map(line => `[${logPrefix}] ${line}`)
+        .join("\n");
+    /** @type Context */
+    let prefixedCtx = {
+        ...ctx,
+        logPrefix,
+        logger: {
+            info: message => message.trim() && ctx.logger.info(prefixLines(message)),
+            warn: message => ctx.logger.warn(prefixLines(message))
+        }
+    };
+    return prefixedCtx;
+}
+
+/**
+ * Performs a filesystem change on the target folder. In dry-run mode, the action is only logged.
+ */
+function fsAction(/** @type Context */ ctx, /** @type string */ description, /** @type {() => any} */ action) {
+    if (ctx.dryRun) {
+        ctx.logger.info(`[dry-run] ${description}`);
+        return;
+    }
+    return action();
+}
+
+function resolveCwd(/** @type CommonOptions */ options) {
+    return path.resolve(options.cwd || process.cwd());
+}
+
+function resolveTarget(/** @type CommonOptions */ options) {
+    return path.resolve(resolveCwd(options), options.target || defaultTargetPath);
+}
+
+function getCacheDir(/** @type Context */ ctx) {
+    if (!ctx.cacheDir) {
+        throw new UserError(`No package cache configured. ` +
+            `Set it with the "cache" option or the ${cacheEnvVar} environment variable.`);
+    }
+    return ctx.cacheDir;
+}
+
+/**
+ * Resolves the build options of a command, starting a new build log if one was requested
+ */
+function prepareBuildOptions(/** @type {CommonOptions & BuildOptions} */ options) {
+    /** @type BuildOptions */
+    let buildOptions = {
+        cleanEnv: !!options.cleanEnv,
+        keepEnv: options.keepEnv || [],
+        buildTimeout: options.buildTimeout,
+        buildLog: options.buildLog ? path.resolve(resolveCwd(options), options.buildLog) : void 0
+    };
+    if (buildOptions.buildLog) {
+        fs.mkdirpSync(path.dirname(buildOptions.buildLog));
+        fs.writeFileSync(buildOptions.buildLog, "");
+    }
+    return buildOptions;
+}
+
+/**
+ * Maps the items with an async function, running at most `concurrency` calls at a time. Results keep the item order.
+ */
+async function mapConcurrently(
+    /** @type any[] */ items,
+    /** @type number */ concurrency,
+    /** @type {(item: any, index: number) => Promise<any>} */ fn
+) {
+    /** @type any[] */
+    let results = new Array(items.length);
+    let nextIndex = 0;
+    let runWorker = async () => {
+        while (nextIndex < items.length) {
+            let index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+    return results;
+}
+
+/**
+ * Runs fn with a temporary folder, which is removed afterwards
+ */
+async function withTmpDir(/** @type {(tmpDir: string) => Promise<any>} */ fn) {
+    let tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "acp-"));
+    try {
+        return await fn(tmpDir);
+    } finally {
+        fs.emptyDirSync(tmpDir);
+        fs.rmdirSync(tmpDir);
+    }
+}
+
+/**
+ * @typedef {{ dev?: boolean; hostVersion?: string; force?: boolean; concurrency?: number }} InstallCommandOptions
+ * @typedef {{ spec: string; code: ErrorCode; message: string }} InstallFailure
+ */
+
+/**
+ * Installs one or more plugins in the target folder. If no specs are given, installs the plugins declared by the
+ * host app and records them in the lockfile. Plugins are fetched and built in parallel up to the given concurrency.
+ * Plugins that fail to install are reported in `failures`, without stopping the others.
+ */
+async function install(
+    /** @type string[] */ npmPackageSpecs = [],
+    /** @type {CommonOptions & BuildOptions & InstallCommandOptions} */ options = {}
+) {
+    let ctx = createContext(options);
+    let projectDir = resolveCwd(options);
+    let targetDir = resolveTarget(options);
+    let hostVersion = resolveHostVersion(projectDir, options.hostVersion);
+    let concurrency = options.concurrency !== void 0 ? options.concurrency : 1;
+    if (!(concurrency >= 1) || Math.floor(concurrency) !== concurrency) {
+        throw new UserError(`Invalid concurrency "${options.concurrency}". Expected a positive integer.`);
+    }
+
+    let useDeclaredPlugins = !npmPackageSpecs.length;
+    /** @type {Lockfile | undefined} */
+    let lockfile;
+    /** @type {Lockfile} */
+    let newLockfile = { lockfileVersion: 1, plugins: {} };
+    if (useDeclaredPlugins) {
+        npmPackageSpecs = readPluginsFile(projectDir);
+        lockfile = readLockfile(projectDir);
+    }
+
+    let build = prepareBuildOptions(options);
+    /** @type {InstallResult[]} */
+    let plugins = [];
+    /** @type {InstallFailure[]} */
+    let failures = [];
+    let recordFailure = (/** @type string */ spec, /** @type Error */ e) => {
+        /** @type InstallFailure */
+        let failure = { spec, code: getErrorCode(e), message: e.message };
+        failures.push(failure);
+        emitEvent(ctx, { type: "error", ...failure });
+        ctx.logger.warn(`Failed to install "${spec}": ${e instanceof UserError ? e.message : e.stack}`);
+    };
+
+    await withTmpDir(async tmpDir => {
+        // Fetch and read all the plugins first, so that conflicting specs are found before touching the target folder
+        let resolvedPlugins = await mapConcurrently(npmPackageSpecs, concurrency, async (pluginArg, index) => {
+            let pluginCtx = concurrency > 1 ? withLogPrefix(ctx, pluginArg) : ctx;
+            pluginCtx.logger.info(`\n> Resolve plugin "${pluginArg}":\n`);
+            let locked = lockfile && lockfile.plugins[pluginArg];
+            if (locked) {
+                pluginCtx.logger.info(`Using locked version ${locked.version} from "${locked.resolved}".`);
+            }
+            try {
+                let resolved = await resolvePlugin(pluginCtx, pluginArg, path.join(tmpDir, String(index)), {
+                    locked, projectDir
+                });
+                return { pluginArg, locked, resolved };
+            } catch (e) {
+                recordFailure(pluginArg, e);
+                return void 0;
+            }
+        });
+        resolvedPlugins = resolvedPlugins.filter(p => p);
+        checkDuplicatePlugins(resolvedPlugins.map(({ pluginArg, resolved }) => ({
+            spec: pluginArg,
+            publisher: resolved.pluginManifest.publisher,
+            pluginName: resolved.pluginManifest.pluginName,
+            version: resolved.pluginManifest.version
+        })), !!options.dev);
+        // Dependencies come before their dependents
+        resolvedPlugins = await resolvePluginDependencies(ctx, targetDir, resolvedPlugins, tmpDir, {
+            lockfile, projectDir
+        });
+
+        /** @type {Map<string, Promise<InstallResult | undefined>>} */
+        let installs = new Map();
+        let installedPlugins = await mapConcurrently(resolvedPlugins, concurrency, plugin => {
+            let { pluginArg, resolved, dependencies } = /** @type PluginToInstall */(plugin);
+            let { publisher, pluginName, version } = resolved.pluginManifest;
+            let pluginCtx = concurrency > 1 ? withLogPrefix(ctx, `${publisher}/${pluginName}`) : ctx;
+            let install = (async () => {
+                // Dependencies were started earlier, as they come first
+                let dependencyResults = await Promise.all(dependencies.map(id => installs.get(id)));
+                let failedDependency = dependencies.find((id, index) => !dependencyResults[index]);
+                if (failedDependency) {
+                    recordFailure(pluginArg, new UserError(`Plugin dependency "${failedDependency}" failed to install.`,
+                        "EDEPENDENCY"));
+                    return void 0;
+                }
+
+                pluginCtx.logger.info(`\n> Install plugin "${pluginArg}":\n`);
+                try {
+                    return await installResolvedPlugin(pluginCtx, targetDir, pluginArg, resolved, {
+                        devMode: options.dev, hostVersion, force: options.force, projectDir, build
+                    });
+                } catch (e) {
+                    recordFailure(pluginArg, e);
+                    return void 0;
+                }
+            })();
+            installs.set(`${publisher}/${pluginName}@${version}`, install);
+            return install;
+        });
+
+        resolvedPlugins.forEach(({ pluginArg, locked }, index) => {
+            let installed = installedPlugins[index];
+            if (!installed) {
+                return;
+            }
+            plugins.push(installed);
+            newLockfile.plugins[pluginArg] = {
+                publisher: installed.publisher,
+                pluginName: installed.pluginName,
+                version: installed.version,
+                resolved: locked ? locked.resolved : toLockfileSource(projectDir, installed.resolved),
+                integrity: installed.integrity || void 0
+            };
+        });
+    });
+
+    if (lockfile) {
+        // Keep the locked plugin dependencies that were already installed, and so weren't fetched again
+        let installed = readInstalledPlugins(targetDir);
+        for (let spec of Object.keys(lockfile.plugins)) {
+            let locked = lockfile.plugins[spec];
+            let isInstalled = installed.some(i =>
+                i.publisher === locked.publisher && i.pluginName === locked.pluginName && i.version === locked.version);
+            if (!newLockfile.plugins[spec] && npmPackageSpecs.indexOf(spec) === -1 && isInstalled) {
+                newLockfile.plugins[spec] = locked;
+            }
+        }
+    }
+
+    // Plugin dependencies are counted too
+    if (plugins.length + failures.length > 1 || failures.length) {
+        ctx.logger.info(`\nInstalled ${plugins.length} of ${plugins.length + failures.length} plugin(s).`);
+        plugins.forEach(p => ctx.logger.info(`    OK      ${p.publisher}/${p.pluginName}@${p.version}`));
+        failures.forEach(f => ctx.logger.info(`    FAILED  ${f.spec}: ${f.message}`));
+    }
+
+    let lockfilePath;
+    if (useDeclaredPlugins && !failures.length) {
+        lockfilePath = path.join(projectDir, lockfileName);
+        fsAction(ctx, `write "${lockfilePath}"`, () => writeLockfile(projectDir, newLockfile));
+        ctx.logger.info(ctx.dryRun ?
+            `\n[dry-run] "${lockfileName}" would be updated.` : `\nUpdated "${lockfileName}".`);
+    } else if (useDeclaredPlugins) {
+        ctx.logger.warn(`"${lockfileName}" was not updated, because some plugins failed to install.`);
+    }
+    writePluginIndex(ctx, targetDir);
+
+    return { plugins, failures, lockfilePath };
+}
+
+/**
+ * @typedef {{
+ *  pluginArg: string; locked?: { resolved: string; integrity?: string }; resolved: ResolvedPlugin
+ * }} PluginToResolve
+ *
+ * The dependencies are given as "publisher/plugin_name@version" keys of other plugins to install
+ * @typedef {PluginToResolve & { dependencies: string[] }} PluginToInstall
+ */
+
+/**
+ * Resolves the plugin dependencies (pluginDependencies in package.json) of the plugins to install, transitively.
+ * Dependencies that are already installed in a matching version are left alone. Missing ones are fetched from their
+ * "npm:" alias, or from the registry package of another installed version. Returns the plugins to install, with
+ * dependencies before their dependents. Fails on version conflicts and circular dependencies.
+ */
+async function resolvePluginDependencies(
+    /** @type Context */ ctx,
+    /** @type string */ targetDir,
+    /** @type PluginToResolve[] */ plugins,
+    /** @type string */ tmpDir,
+    /** @type {{ lockfile?: Lockfile; projectDir: string }} */ { lockfile, projectDir }
+) {
+    let installed = readInstalledPlugins(targetDir);
+
+    // Several versions of a plugin can be installed side by side, so plugins are keyed by version too
+    let getId = (/** @type PluginToResolve */ plugin) =>
+        `${plugin.resolved.pluginManifest.publisher}/${plugin.resolved.pluginManifest.pluginName}`;
+    let getKey = (/** @type PluginToResolve */ plugin) => `${getId(plugin)}@${plugin.resolved.pluginManifest.version}`;
+    /** @type {Map<string, PluginToInstall>} */
+    let pluginsByKey = new Map();
+    for (let plugin of plugins) {
+        pluginsByKey.set(getKey(plugin), { ...plugin, dependencies: [] });
+    }
+
+    let queue = [...pluginsByKey.values()];
+    let fetchCount = 0;
+    for (let plugin; (plugin = queue.shift());) {
+        let { publisher, pluginName, pluginDependencies } = plugin.resolved.pluginManifest;
+        let dependentId = `${publisher}/${pluginName}`;
+
+        for (let uri of Object.keys(pluginDependencies)) {
+            let dependency = /** @type {{ publisher: string; pluginName: string }} */(parsePluginUri(uri));
+            let { range, source } = /** @type {{ range: string; source?: string }} */(
+                parseDependencyRange(pluginDependencies[uri]));
+            let id = `${dependency.publisher}/${dependency.pluginName}`;
+
+            let dependencyPlugins = [...pluginsByKey.values()].filter(p => getId(p) === id);
+            if (dependencyPlugins.length) {
+                let dependencyPlugin = dependencyPlugins.find(p => semver.satisfies(p.resolved.pluginManifest.version,
+                    range));
+                if (!dependencyPlugin) {
+                    throw new UserError(`Plugin "${dependentId}" depends on "${uri}" ${range}, but version ` +
+                        dependencyPlugins.map(p => `${p.resolved.pluginManifest.version} ` +
+                            `(from "${p.pluginArg}")`).join(", ") + ` is being installed.`, "EDEPENDENCY");
+                }
+                plugin.dependencies.push(getKey(dependencyPlugin));
+                continue;
+            }
+
+            let installs = installed.filter(i => `${i.publisher}/${i.pluginName}` === id);
+            let satisfying = installs.find(i => !!i.version && semver.satisfies(i.version, range));
+            if (satisfying) {
+                ctx.logger.info(`Dependency "${uri}" ${range} of "${dependentId}" is satisfied by ` +
+                    `installed version ${satisfying.version}.`);
+                continue;
+            }
+
+            let dependencySpec = source || installs
+                .map(i => i.spec && getRegistryPackageName(i.spec, projectDir))
+                .filter(name => name)
+                .map(name => `${name}@${range}`)[0];
+            if (!dependencySpec) {
+                throw new UserError(`Plugin "${dependentId}" depends on "${uri}" ${range}, which is not installed. ` +
+                    `Install it as well, or declare where to get it from ("npm:<package>@<range>").`, "EDEPENDENCY");
+            }
+
+            ctx.logger.info(`\n> Resolve dependency "${uri}" ${range} of "${dependentId}":\n`);
+            let locked = lockfile && lockfile.plugins[dependencySpec];
+            if (locked) {
+                ctx.logger.info(`Using locked version ${locked.version} from "${locked.resolved}".`);
+            }
+            let resolved = await resolvePlugin(ctx, dependencySpec, path.join(tmpDir, `dependency-${fetchCount++}`), {
+                locked, projectDir
+            });
+            let { publisher: resolvedPublisher, pluginName: resolvedPluginName, version } = resolved.pluginManifest;
+            if (`${resolvedPublisher}/${resolvedPluginName}` !== id) {
+                throw new UserError(`Dependency "${uri}" of "${dependentId}" resolved to a different plugin ` +
+                    `("${resolvedPublisher}/${resolvedPluginName}") from "${dependencySpec}".`, "EDEPENDENCY");
+            }
+            if (!semver.satisfies(version, range)) {
+                throw new UserError(`Dependency "${uri}" of "${dependentId}" resolved to version ${version} from ` +
+                    `"${dependencySpec}", which doesn't match ${range}.`, "EDEPENDENCY");
+            }
+
+            /** @type PluginToInstall */
+            let dependencyPlugin = { pluginArg: dependencySpec, locked, resolved, dependencies: [] };
+            pluginsByKey.set(getKey(dependencyPlugin), dependencyPlugin);
+            queue.push(dependencyPlugin);
+            plugin.dependencies.push(getKey(dependencyPlugin));
+        }
+    }
+
+    checkDependencyCycles([...pluginsByKey.values()], installed);
+
+    // Depth-first, so that dependencies end up before their dependents
+    /** @type PluginToInstall[] */
+    let ordered = [];
+    let visit = (/** @type PluginToInstall */ plugin) => {
+        if (ordered.indexOf(plugin) !== -1) {
+            return;
+        }
+        plugin.dependencies.forEach(key => visit(/** @type PluginToInstall */(pluginsByKey.get(key))));
+        ordered.push(plugin);
+    };
+    pluginsByKey.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Fails if the plugins to install are part of a dependency cycle, taking the installed plugins into account
+ */
+function checkDependencyCycles(/** @type PluginToInstall[] */ plugins, /** @type InstalledPlugin[] */ installed) {
+    let getDependencyIds = (/** @type {Object.<string, string>} */ pluginDependencies) => {
+        /** @type string[] */
+        let ids = [];
+        for (let uri of Object.keys(pluginDependencies)) {
+            let dependency = parsePluginUri(uri);
+            if (dependency) {
+                ids.push(`${dependency.publisher}/${dependency.pluginName}`);
+            }
+        }
+        return ids;
+    };
+
+    /** @type {Map<string, string[]>} */
+    let graph = new Map();
+    for (let { publisher, pluginName, pluginDependencies } of installed) {
+        let id = `${publisher}/${pluginName}`;
+        graph.set(id, (graph.get(id) || []).concat(getDependencyIds(pluginDependencies)));
+    }
+    /** @type string[] */
+    let pluginIds = [];
+    for (let { resolved: { pluginManifest: { publisher, pluginName, pluginDependencies } } } of plugins) {
+        let id = `${publisher}/${pluginName}`;
+        // The dependencies of the installed versions are replaced, unless another version is being installed too
+        graph.set(id, (pluginIds.indexOf(id) !== -1 ? graph.get(id) || [] : [])
+            .concat(getDependencyIds(pluginDependencies)));
+        pluginIds.push(id);
+    }
+
+    /** @type string[] */
+    let visited = [];
+    let visit = (/** @type string */ id, /** @type string[] */ stack) => {
+        let cycleStart = stack.indexOf(id);
+        if (cycleStart !== -1) {
+            let cycle = stack.slice(cycleStart).concat(id);
+            if (cycle.some(cycleId => pluginIds.indexOf(cycleId) !== -1)) {
+                throw new UserError(`Circular plugin dependency: ${cycle.join(" -> ")}.`, "EDEPENDENCY");
+            }
+            return;
+        }
+        if (visited.indexOf(id) !== -1) {
+            return;
+        }
+        visited.push(id);
+        (graph.get(id) || []).forEach(dependencyId => visit(dependencyId, stack.concat(id)));
+    };
+    pluginIds.forEach(id => visit(id, []));
+}
+
+/**
+ * Returns the package name of a registry spec (e.g. "@my-org/my-plugin@^1.0.0"), or undefined for other specs
+ */
+function getRegistryPackageName(/** @type string */ spec, /** @type string */ projectDir) {
+    try {
+        let parsedSpec = npa(spec, projectDir);
+        return parsedSpec.registry && parsedSpec.type !== "alias" ? parsedSpec.name : void 0;
+    } catch (e) {
+        return void 0;
+    }
+}
+
+/**
+ * Fails if several specs resolve to the same install folder, which they would overwrite in the target folder. That
+ * is the same plugin version, or any version of the same plugin in dev mode, where plugins aren't versioned.
+ */
+function checkDuplicatePlugins(
+    /** @type {{ spec: string; publisher: string; pluginName: string; version: string }[]} */ plugins,
+    /** @type boolean */ devMode
+) {
+    for (let { publisher, pluginName, version } of plugins) {
+        let specs = plugins
+            .filter(p => p.publisher === publisher && p.pluginName === pluginName && (devMode || p.version === version))
+            .map(p => p.spec);
+        if (specs.length > 1) {
+            throw new UserError(`Plugin "${publisher}/${pluginName}"${devMode ? "" : ` version ${version}`} is ` +
+                `installed by more than one spec (${specs.map(spec => `"${spec}"`).join(", ")}). ` +
+                `Remove all but one of them.`, "ECONFLICT");
+        }
+    }
+}
+
+/**
+ * Removes one or more plugins from the target folder. Plugins are given either as installed plugin selectors
+ * (publisher/plugin_name[@version_or_range], with optional * and ? wildcards), which are resolved from the target
+ * folder, or as package specs, which are fetched to read the plugin identity.
+ */
+async function uninstall(
+    /** @type string[] */ npmPackageSpecs,
+    /** @type {CommonOptions & { all?: boolean }} */ options = {}
+) {
+    let ctx = createContext(options);
+    let projectDir = resolveCwd(options);
+    let targetDir = resolveTarget(options);
+
+    /** @type {UninstallResult[]} */
+    let plugins = [];
+    await withTmpDir(async tmpDir => {
+        for (let pluginArg of npmPackageSpecs) {
+            ctx.logger.info(`\n> Uninstall plugin "${pluginArg}":\n`);
+            let installs = resolveInstalledPlugins(targetDir, pluginArg, options.all);
+            if (!installs) {
+                plugins.push(await uninstallPlugin(ctx, targetDir, pluginArg, tmpDir, projectDir, options.all));
+                continue;
+            }
+            if (!installs.length) {
+                ctx.logger.warn(`No installed plugins match "${pluginArg}" in "${targetDir}".`);
+            }
+            for (let { publisher, pluginName, version, allVersions } of installs) {
+                plugins.push(await removePluginInstall(ctx, targetDir, publisher, pluginName, version, allVersions));
+            }
+        }
+    });
+    writePluginIndex(ctx, targetDir);
+
+    return { plugins };
+}
+
+/**
+ * @typedef {{
+ *  publisher: string; pluginName: string; version?: string; path: string; size: number;
+ *  reason: "old" | "broken" | "dangling";
+ * }} PrunedInstall
+ */
+
+/**
+ * Removes the old versions of the plugins installed in the target folder, keeping the newest ones and those
+ * referenced by the host app, together with the broken installs (missing their index.js) and the symlinks whose
+ * source folder no longer exists
+ */
+async function prune(/** @type {CommonOptions & { keep?: number; keepReferenced?: string }} */ options = {}) {
+    let ctx = createContext(options);
+    let targetDir = resolveTarget(options);
+    let keep = options.keep !== void 0 ? options.keep : 1;
+    if (!(keep >= 1) || Math.floor(keep) !== keep) {
+        throw new UserError(`Invalid number of versions to keep "${options.keep}". Use "acp uninstall" ` +
+            `to remove all versions of a plugin.`);
+    }
+    let referencedVersions = options.keepReferenced ?
+        readReferencedVersions(path.resolve(resolveCwd(options), options.keepReferenced)) : [];
+
+    let removedVerb = ctx.dryRun ? "[dry-run] Would remove" : "Removed";
+
+    /** @type PrunedInstall[] */
+    let removed = [];
+    // Broken installs can't be loaded by the host app, so they are removed regardless of the versions to keep
+    let brokenInstalls = listPluginInstalls(targetDir).filter(install => install.broken);
+    for (let { publisher, pluginName, type, version, path: installPath } of brokenInstalls) {
+        let size = getDiskUsage(installPath);
+        removeAtomically(ctx, installPath);
+        ctx.logger.info(`${removedVerb} broken install of "${publisher}/${pluginName}"` +
+            (version ? ` version ${version}` : "") + ` (${formatSize(size)}).`);
+        removed.push({ publisher, pluginName, version, path: installPath, size, reason: "broken" });
+        emitEvent(ctx, { type: "pruned", ...removed[removed.length - 1] });
+
+        let pluginPath = path.dirname(installPath);
+        if (type === "versioned" && fs.existsSync(pluginPath) && !fs.readdirSync(pluginPath).length) {
+            fsAction(ctx, `rmdir "${pluginPath}"`, () => fs.rmdirSync(pluginPath));
+        }
+    }
+    // In dry-run mode the broken installs are still there. They must not be counted twice or take the place of the
+    // versions to keep.
+    let brokenPaths = brokenInstalls.map(install => install.path);
+    for (let plugin of listPlugins(targetDir)) {
+        let { publisher, pluginName, type, linkTarget, path: pluginPath } = plugin;
+        let versions = plugin.versions.filter(v => brokenPaths.indexOf(path.join(pluginPath, v)) === -1);
+        if (type === "link" && linkTarget && !fs.existsSync(linkTarget)) {
+            fsAction(ctx, `remove symlink "${pluginPath}"`, () => fs.removeSync(pluginPath));
+            ctx.logger.info(`${removedVerb} dangling link "${publisher}/${pluginName}" -> "${linkTarget}".`);
+            removed.push({ publisher, pluginName, path: pluginPath, size: 0, reason: "dangling" });
+            emitEvent(ctx, { type: "pruned", ...removed[removed.length - 1] });
+        }
+        if (type !== "versioned") {
+            continue;
+        }
+
+        // Newest first. Folders that aren't valid versions come last, so they are pruned first
+        let keptVersions = versions
+            .slice()
+            .sort((a, b) => compareVersions(b, a))
+            .slice(0, keep)
+            .concat(versions.filter(v => referencedVersions.indexOf(`${publisher}/${pluginName}@${v}`) !== -1));
+        for (let version of versions.filter(v => keptVersions.indexOf(v) === -1)) {
+            let installPath = path.join(pluginPath, version);
+            let size = getDiskUsage(installPath);
+            removeAtomically(ctx, installPath);
+            ctx.logger.info(`${removedVerb} "${publisher}/${pluginName}" version ${version} (${formatSize(size)}).`);
+            removed.push({ publisher, pluginName, version, path: installPath, size, reason: "old" });
+            emitEvent(ctx, { type: "pruned", ...removed[removed.length - 1] });
+        }
+    }
+
+    let reclaimed = removed.reduce((total, install) => total + install.size, 0);
+    let versionCount = removed.filter(r => r.reason === "old").length;
+    let brokenCount = removed.filter(r => r.reason === "broken").length;
+    let linkCount = removed.filter(r => r.reason === "dangling").length;
+    ctx.logger.info(`\n${removedVerb} ${versionCount} plugin version(s), ${brokenCount} broken install(s) and ` +
+        `${linkCount} dangling link(s), reclaiming ${formatSize(reclaimed)}.`);
+    writePluginIndex(ctx, targetDir);
+
+    return { removed, reclaimed };
+}
+
+/**
+ * Installs one or more local plugins via symlinks, for development purposes
+ */
+async function link(/** @type string[] */ pluginDirs, /** @type CommonOptions */ options = {}) {
+    let ctx = createContext(options);
+    let cwd = resolveCwd(options);
+    let targetDir = resolveTarget(options);
+
+    let plugins = [];
+    for (let pluginDir of pluginDirs) {
+        ctx.logger.info(`\n> Link plugin "${pluginDir}":\n`);
+        plugins.push(await linkPlugin(ctx, targetDir, path.resolve(cwd, pluginDir)));
+    }
+    writePluginIndex(ctx, targetDir);
+
+    return { plugins };
+}
+
+/**
+ * Links one or more local plugins and runs their "watch" scripts. Optionally serves the host app over HTTP, with
+ * live reload. Resolves once all plugins are linked; the returned close() stops everything.
+ */
+async function dev(
+    /** @type string[] */ pluginDirs,
+    /** @type {CommonOptions & { serve?: string; port?: number; host?: string }} */ options = {}
+) {
+    let ctx = createContext(options);
+    let cwd = resolveCwd(options);
+    let targetDir = resolveTarget(options);
+    let npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+
+    let devServer = options.serve ?
+        await startDevServer(ctx, path.resolve(cwd, options.serve), options.port || defaultDevServerPort,
+            options.host || defaultDevServerHost) :
+        void 0;
+
+    /** @type child_process.ChildProcess[] */
+    let watchProcesses = [];
+    /** @type string[] */
+    let watchedFiles = [];
+    let close = () => {
+        watchProcesses.forEach(child => child.kill());
+        watchedFiles.forEach(file => fs.unwatchFile(file));
+        if (devServer) {
+            devServer.close();
+        }
+    };
+
+    try {
+        await Promise.all(pluginDirs.map(async pluginDir => {
+            let pluginPath = path.resolve(cwd, pluginDir);
+            let { publisher, pluginName, distDir, mainJsFilename, hasWatchScript } = readPluginManifest(pluginPath);
+            let pluginId = `${publisher}/${pluginName}`;
+            let mainJsPath = path.join(pluginPath, distDir, mainJsFilename);
+
+            if (hasWatchScript) {
+                let watchProcess = spawnPrefixed(ctx, pluginId, npmCmd, ["run", "watch"], pluginPath);
+                watchProcesses.push(watchProcess);
+                // The first build might still be in progress
+                await waitForFile(mainJsPath, watchProcess);
+            } else {
+                ctx.logger.warn(`Plugin "${pluginId}" has no "watch" script. ` +
+                    `It will be linked, but not rebuilt on changes.`);
+            }
+
+            ctx.logger.info(`\n> Link plugin "${pluginDir}":\n`);
+            await linkPlugin(ctx, targetDir, pluginPath);
+
+            if (devServer) {
+                let server = devServer;
+                watchedFiles.push(mainJsPath);
+                fs.watchFile(mainJsPath, { interval: 500 }, (curr, prev) => {
+                    if (curr.mtimeMs !== prev.mtimeMs) {
+                        server.notifyReload(pluginId);
+                    }
+                });
+            }
+        }));
+        writePluginIndex(ctx, targetDir);
+    } catch (e) {
+        close();
+        throw e;
+    }
+
+    return { close };
+}
+
+/**
+ * Packs the plugin in the given folder (the current one by default) into a deployable archive
+ */
+async function pack(/** @type {CommonOptions & BuildOptions & { outDir?: string }} */ options = {}) {
+    let ctx = createContext(options);
+    let pluginPath = resolveCwd(options);
+    let outDir = path.resolve(pluginPath, options.outDir || ".");
+
+    ctx.logger.info(`\n> Pack plugin in "${pluginPath}":\n`);
+    let result = await withTmpDir(tmpDir =>
+        packPlugin(ctx, pluginPath, outDir, tmpDir, prepareBuildOptions(options)));
+    ctx.logger.info(`\nCreated "${result.archivePath}".`);
+    emitEvent(ctx, { type: "packed", ...result });
+
+    return result;
+}
+
+/**
+ * Lists the plugins installed or linked in the target folder
+ */
+async function list(/** @type CommonOptions */ options = {}) {
+    return { plugins: listPlugins(resolveTarget(options)) };
+}
+
+/**
+ * Re-hashes the files of the installed plugins and compares them with the checksums recorded at install time
+ */
+async function verify(/** @type CommonOptions */ options = {}) {
+    let ctx = createContext(options);
+    let targetDir = resolveTarget(options);
+
+    /** @type {{ publisher: string; pluginName: string; version?: string; path: string; problems: string[] }[]} */
+    let plugins = [];
+    // Broken installs are included, so that a deleted index.js is reported rather than hiding the whole version
+    for (let { publisher, pluginName, type, version, path: installPath } of listPluginInstalls(targetDir)) {
+        if (type === "link") {
+            ctx.logger.info(`${publisher}/${pluginName}: skipped (linked)`);
+            continue;
+        }
+
+        let problems = verifyInstall(installPath);
+        plugins.push({ publisher, pluginName, version, path: installPath, problems });
+
+        let label = `${publisher}/${pluginName} (${version || "dev"})`;
+        if (problems.length) {
+            ctx.logger.info(`${label}: FAILED`);
+            problems.forEach(problem => ctx.logger.info(`    ${problem}`));
+        } else {
+            ctx.logger.info(`${label}: OK`);
+        }
+    }
+
+    return { plugins, failed: plugins.filter(p => p.problems.length).length };
+}
+
+/**
+ * Lints the plugin project in the given folder (the current one by default), reporting every problem found. Meant to
+ * be run before publishing the plugin.
+ */
+async function validate(/** @type CommonOptions */ options = {}) {
+    let ctx = createContext(options);
+    let pluginPath = resolveCwd(options);
+
+    let problems = validatePlugin(ctx, pluginPath);
+    problems.forEach(problem => ctx.logger.info(`ERROR: ${problem}`));
+    ctx.logger.info(problems.length ? `\nFound ${problems.length} problem(s).` : `No problems found.`);
+
+    return { path: pluginPath, problems };
+}
+
+/**
+ * Inspects the built bundle of the plugin in the given folder (the current one by default). The size budget applies
+ * to each chunk and is given in bytes.
+ */
+async function inspect(/** @type {CommonOptions & { maxChunkSize?: number }} */ options = {}) {
+    let ctx = createContext(options);
+    let pluginPath = resolveCwd(options);
+
+    let result = inspectBundle(pluginPath, options.maxChunkSize);
+    result.chunks.forEach(chunk => ctx.logger.info(
+        `${chunk.file}: ${formatSize(chunk.size)} (${formatSize(chunk.gzipSize)} gzipped)`));
+    ctx.logger.info(``);
+    result.problems.forEach(problem => ctx.logger.info(`ERROR: ${problem}`));
+    ctx.logger.info(result.problems.length ? `\nFound ${result.problems.length} problem(s).` : `No problems found.`);
+
+    return result;
+}
+
+/**
+ * Checks the installed plugins for newer versions, based on the spec each plugin was installed from
+ */
+async function outdated(/** @type CommonOptions */ options = {}) {
+    let ctx = createContext(options);
+    let targetDir = resolveTarget(options);
+
+    /** @type {PluginUpdateStatus[]} */
+    let plugins = [];
+    /** @type {UpdateFailure[]} */
+    let failures = [];
+    await withTmpDir(async tmpDir => {
+        for (let plugin of listPlugins(targetDir)) {
+            try {
+                let status = await getPluginUpdateStatus(ctx, plugin, tmpDir, resolveCwd(options));
+                if (status && (status.wanted !== status.current || status.latest !== status.current)) {
+                    plugins.push(status);
+                }
+            } catch (e) {
+                failures.push(recordUpdateFailure(ctx, plugin, e, "Failed to check %s for updates"));
+            }
+        }
+    });
+
+    return { plugins, failures };
+}
+
+/**
+ * Updates the installed plugins (all of them, by default) to the newest version matching their source spec
+ */
+async function update(
+    /** @type string[] */ pluginIds = [],
+    /** @type {CommonOptions & BuildOptions & { prune?: boolean; hostVersion?: string; force?: boolean }} */
+    options = {}
+) {
+    let ctx = createContext(options);
+    let projectDir = resolveCwd(options);
+    let targetDir = resolveTarget(options);
+    let hostVersion = resolveHostVersion(projectDir, options.hostVersion);
+
+    let build = prepareBuildOptions(options);
+
+    let installedPlugins = listPlugins(targetDir);
+    if (pluginIds.length) {
+        for (let pluginId of pluginIds) {
+            if (!installedPlugins.some(p => `${p.publisher}/${p.pluginName}` === pluginId)) {
+                throw new UserError(`Plugin "${pluginId}" is not installed in "${targetDir}".`);
+            }
+        }
+        installedPlugins = installedPlugins.filter(p => pluginIds.indexOf(`${p.publisher}/${p.pluginName}`) !== -1);
+    }
+
+    /** @type {InstallResult[]} */
+    let plugins = [];
+    /** @type {UpdateFailure[]} */
+    let failures = [];
+    await withTmpDir(async tmpDir => {
+        for (let plugin of installedPlugins) {
+            let { publisher, pluginName } = plugin;
+            ctx.logger.info(`\n> Update plugin "${publisher}/${pluginName}":\n`);
+
+            try {
+                let status = await getPluginUpdateStatus(ctx, plugin, tmpDir, projectDir);
+                if (!status) {
+                    continue;
+                }
+                if (status.wanted === status.current) {
+                    ctx.logger.info(`Already up to date (version: ${status.current}).`);
+                    continue;
+                }
+
+                plugins.push(await installPlugin(ctx, targetDir, status.spec, tmpDir, {
+                    devMode: plugin.type === "flat", hostVersion, force: options.force, projectDir, build
+                }));
+
+                if (options.prune && plugin.type === "versioned") {
+                    // Newer versions were installed on purpose (e.g. pinned or installed by hand), so they are kept
+                    let wanted = status.wanted;
+                    for (let version of plugin.versions.filter(v => compareVersions(v, wanted) < 0)) {
+                        await removePluginInstall(ctx, targetDir, publisher, pluginName, version);
+                    }
+                }
+            } catch (e) {
+                failures.push(recordUpdateFailure(ctx, plugin, e, "Failed to update %s"));
+            }
+        }
+    });
+
+    if (failures.length) {
+        ctx.logger.info(`\nUpdated ${plugins.length} plugin(s). ${failures.length} plugin(s) failed:`);
+        failures.forEach(f => ctx.logger.info(`    FAILED  ${f.publisher}/${f.pluginName}: ${f.message}`));
+    }
+    writePluginIndex(ctx, targetDir);
+
+    return { plugins, failures };
+}
+
+/**
+ * @typedef {{ publisher: string; pluginName: string; code: ErrorCode; message: string }} UpdateFailure
+ */
+
+/**
+ * Reports a plugin that failed to be checked for updates or updated, so that the remaining plugins can go on. The
+ * plugin id replaces %s in the warning.
+ */
+function recordUpdateFailure(
+    /** @type Context */ ctx,
+    /** @type {{ publisher: string; pluginName: string }} */ { publisher, pluginName },
+    /** @type Error */ e,
+    /** @type string */ warning
+) {
+    /** @type UpdateFailure */
+    let failure = { publisher, pluginName, code: getErrorCode(e), message: e.message };
+    emitEvent(ctx, { type: "error", ...failure });
+    ctx.logger.warn(warning.replace("%s", `"${publisher}/${pluginName}"`) + ": " +
+        (e instanceof UserError ? e.message : e.stack));
+    return failure;
+}
+
+/**
+ * @typedef {{
+ *  publisher: string;
+ *  pluginName: string;
+ *  npmPackageName?: string;
+ *  cwd?: string;
+ *  logger?: Logger;
+ *  npmInstall?: boolean;
+ * }} PluginIdentityOptions
+ */
+
+function validatePluginIdentity(/** @type PluginIdentityOptions */ { publisher, pluginName, npmPackageName }) {
+    if (npmPackageName && !validateNpmPackageName(npmPackageName).validForNewPackages) {
+        throw new UserError(`Invalid npm package name "${npmPackageName}"`);
+    }
+    validatePublisherName(publisher);
+    validatePluginName(pluginName);
+}
+
+/**
+ * Generates plugin boilerplate in the given folder (the current one by default), which must be empty. The boilerplate
+ * comes from the built-in templates, or from an external template package if a template spec is given.
+ */
+async function init(/** @type {PluginIdentityOptions & { js?: boolean; template?: string }} */ options) {
+    let ctx = createContext(options);
+    let { publisher, pluginName, npmPackageName = "" } = options;
+    let targetPath = resolveCwd(options);
+
+    validatePluginIdentity(options);
+    if (options.js && options.template) {
+        throw new UserError(`The "js" option only applies to the built-in templates. Omit it when using a custom template.`);
+    }
+
+    ctx.logger.info(`\n> Create boilerplate for plugin "${publisher}/${pluginName}":\n`);
+    await createBoilerplate(ctx, npmPackageName, publisher, pluginName, !!options.js, targetPath,
+        options.npmInstall !== false, options.template);
+    ctx.logger.info("Done.");
+
+    return { publisher, pluginName, npmPackageName, path: targetPath };
+}
+
+/**
+ * Renames the plugin in the given folder (the current one by default)
+ */
+async function rename(/** @type PluginIdentityOptions */ options) {
+    let ctx = createContext(options);
+    let { publisher, pluginName, npmPackageName = "" } = options;
+    let targetPath = resolveCwd(options);
+
+    validatePluginIdentity(options);
+
+    ctx.logger.info(`\n> Rename target plugin to "${publisher}/${pluginName}":\n`);
+    await renamePlugin(ctx, npmPackageName, publisher, pluginName, targetPath, options.npmInstall !== false);
+    ctx.logger.info("Done.");
+
+    return { publisher, pluginName, npmPackageName, path: targetPath };
+}
+
+/**
+ * Upgrades the boilerplate files (webpack config, package.json, tsconfig and ignore files) of one or more plugins
+ * (the one in the current folder by default) to the current boilerplate version
+ */
+async function upgradeBoilerplate(/** @type string[] */ pluginDirs = [], /** @type CommonOptions */ options = {}) {
+    let ctx = createContext(options);
+    let cwd = resolveCwd(options);
+
+    let plugins = [];
+    await withTmpDir(async tmpDir => {
+        for (let pluginDir of pluginDirs.length ? pluginDirs : ["."]) {
+            let pluginPath = path.resolve(cwd, pluginDir);
+            ctx.logger.info(`\n> Upgrade boilerplate of "${pluginPath}":\n`);
+            let pluginTmpDir = path.join(tmpDir, String(plugins.length));
+            plugins.push({ path: pluginPath, ...upgradePluginBoilerplate(ctx, pluginPath, pluginTmpDir) });
+        }
+    });
+
+    return { plugins, conflicts: plugins.filter(p => p.files.some(f => f.status === "conflict")).length };
+}
+
+/**
+ * Scaffolds a module, page or locale in the plugin from the given folder (the current one by default) and registers
+ * it in the plugin entry point
+ */
+async function generate(
+    /** @type string */ kind,
+    /** @type string */ name,
+    /** @type {CommonOptions} */ options = {}
+) {
+    let ctx = createContext(options);
+    let pluginPath = resolveCwd(options);
+
+    ctx.logger.info(`\n> Generate ${kind} "${name}":\n`);
+    let files;
+    if (kind === "module" || kind === "page") {
+        files = generateDefinition(ctx, pluginPath, kind, name);
+    } else if (kind === "locale") {
+        files = generateLocale(ctx, pluginPath, name);
+    } else {
+        throw new UserError(`Unknown generator "${kind}". Use one of: ${generatorKinds.join(", ")}.`);
+    }
+    ctx.logger.info("Done.");
+
+    return { kind, name, files };
+}
+
+/**
+ * @typedef {{ name: string; version: string; resolved: string; integrity?: string }} CachedPackage
+ */
+
+/**
+ * Fetches packages into the persistent package cache, so they can be installed offline later. If no specs are given,
+ * caches the plugins declared by the host app, at the versions recorded in the lockfile if there is one.
+ */
+async function cacheAdd(/** @type string[] */ npmPackageSpecs = [], /** @type CommonOptions */ options = {}) {
+    let ctx = createContext(options);
+    let projectDir = resolveCwd(options);
+    let cacheDir = getCacheDir(ctx);
+
+    /** @type {{ spec: string; integrity?: string }[]} */
+    let fetchSpecs = npmPackageSpecs.map(spec => ({ spec }));
+    if (!npmPackageSpecs.length) {
+        let lockfile = readLockfile(projectDir);
+        fetchSpecs = readPluginsFile(projectDir).map(spec => {
+            let locked = lockfile && lockfile.plugins[spec];
+            return locked ? { spec: locked.resolved, integrity: locked.integrity } : { spec };
+        });
+    }
+
+    /** @type CachedPackage[] */
+    let packages = [];
+    for (let { spec, integrity } of fetchSpecs) {
+        let parsedSpec = npa(spec, projectDir);
+        if (parsedSpec.type === "file" || parsedSpec.type === "directory") {
+            ctx.logger.info(`Skipping "${spec}", which is read from the local filesystem.`);
+            continue;
+        }
+        if (!parsedSpec.registry && parsedSpec.type !== "remote") {
+            throw new UserError(`Can't cache "${spec}". Only npm registry packages and tarball URLs can be cached.`);
+        }
+        ctx.logger.info(`Caching "${spec}"...`);
+        // The persistent cache is configured, so no temp folder is needed
+        let pacoteOpts = { ...getPacoteOptions(ctx, cacheDir, projectDir), integrity };
+        let manifest = await fromCache(ctx, spec, () => pacote.manifest(spec, pacoteOpts));
+        await fromCache(ctx, spec, () => pacote.tarball(spec, pacoteOpts));
+        packages.push({
+            name: manifest.name, version: manifest.version, resolved: manifest._resolved, integrity: manifest._integrity
+        });
+        ctx.logger.info(`Cached ${manifest.name}@${manifest.version}.`);
+    }
+
+    return { cacheDir, packages };
+}
+
+/**
+ * Lists the packages in the persistent package cache
+ */
+async function cacheList(/** @type CommonOptions */ options = {}) {
+    let ctx = createContext(options);
+    let cacheDir = getCacheDir(ctx);
+
+    /** @type CachedPackage[] */
+    let packages = [];
+    let entries = fs.existsSync(cacheDir) ? await cacache.ls(cacheDir) : {};
+    for (let key of Object.keys(entries)) {
+        // pacote indexes the manifest of every fetched package under "pacote:<type>-manifest:<resolved>:<integrity>"
+        let { metadata } = entries[key];
+        let match = key.match(/^pacote:[\w-]+-manifest:(.+?)(?::(sha\d+-.+))?$/);
+        if (!match || !metadata || !metadata.manifest) {
+            continue;
+        }
+        let { name, version } = metadata.manifest;
+        if (!packages.some(p => p.name === name && p.version === version)) {
+            packages.push({ name, version, resolved: match[1], integrity: match[2] });
+        }
+    }
+    packages.sort((a, b) => a.name.localeCompare(b.name) || semver.compare(a.version, b.version));
+
+    return { cacheDir, packages };
+}
+
+/**
+ * Removes all packages from the persistent package cache
+ */
+async function cacheClean(/** @type CommonOptions */ options = {}) {
+    let ctx = createContext(options);
+    let cacheDir = getCacheDir(ctx);
+
+    fsAction(ctx, `remove "${cacheDir}"`, () => fs.removeSync(cacheDir));
+    ctx.logger.info(`Cleaned package cache "${cacheDir}".`);
+
+    return { cacheDir };
+}
+
+module.exports = {
+    install,
+    uninstall,
+    prune,
+    link,
+    dev,
+    pack,
+    list,
+    verify,
+    validate,
+    inspect,
+    outdated,
+    update,
+    init,
+    rename,
+    generate,
+    generatorKinds,
+    upgradeBoilerplate,
+    cacheAdd,
+    cacheList,
+    cacheClean,
+    readPluginManifest,
+    UserError,
+    errorExitCodes,
+    getErrorCode,
+    defaultTargetPath,
+    defaultDevServerPort,
+    defaultDevServerHost,
+    pluginsFileName,
+    lockfileName,
+    cacheEnvVar,
+    pluginIndexFileName
+};
+
+
+async function createBoilerplate(
+    /** @type Context */ ctx,
+    /** @type string */ npmPackageName,
+    /** @type string */ publisher,
+    /** @type string */ pluginName,
+    /** @type boolean */ jsMode,
+    /** @type string */ targetPath,
+    npmInstall = true,
+    /** @type {string | undefined} */ templateSpec = void 0
+) {
+    let packageJsonPath = path.join(targetPath, "package.json");
+    let webpackConfigPath = path.join(targetPath, "webpack.config.js");
+
+    if (fs.readdirSync(targetPath).filter(f => !f.match(/^\./)).length) {
+        throw new UserError(`Can't create boilerplate in a non-empty folder.`, "ECONFLICT");
+    }
+
+    if (templateSpec) {
+        let placeholderValues = {
+            "<publisher>": publisher,
+            "<plugin_name>": pluginName,
+            "<package_name>": npmPackageName,
+            "<library_name>": getPluginLibraryName(publisher, pluginName)
+        };
+        await withTmpDir(tmpDir => copyTemplate(ctx, templateSpec, tmpDir, targetPath, placeholderValues));
+    } else {
+        copyBuiltinBoilerplate(
+            path.join(__dirname, "boilerplate", jsMode ? "js" : "ts"),
+            path.join(__dirname, "boilerplate", "git", "gitignore.tpl"),
+            targetPath, npmPackageName, publisher, pluginName
+        );
+    }
+
+    ctx.logger.info(`Created boilerplate in "${targetPath}".`);
+
+    if (npmInstall) {
+        let npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+        ctx.logger.info(`Running npm install...`);
+        child_process.spawnSync(npmCmd, ["install"], { cwd: targetPath, stdio: getChildStdio(ctx) });
+    }
+}
+
+function copyBuiltinBoilerplate(
+    /** @type string */ boilerplatePath,
+    /** @type string */ gitignorePath,
+    /** @type string */ targetPath,
+    /** @type string */ npmPackageName,
+    /** @type string */ publisher,
+    /** @type string */ pluginName
+) {
+    fs.copySync(boilerplatePath, targetPath);
+
+    // Boilerplates older than 1.0.0-beta.4 had no .npmignore and .gitignore files
+    if (fs.existsSync(path.join(targetPath, "npmignore.tpl"))) {
+        fs.renameSync(path.join(targetPath, "npmignore.tpl"), path.join(targetPath, ".npmignore"));
+    }
+
+    if (fs.existsSync(gitignorePath) && !fs.existsSync(path.join(targetPath, ".gitignore"))) {
+        fs.copySync(gitignorePath, path.join(targetPath, ".gitignore"));
+    }
+
+    patchPluginFiles(
+        path.join(targetPath, "package.json"), path.join(targetPath, "webpack.config.js"),
+        npmPackageName, publisher, pluginName
+    );
+}
+
+/**
+ * Lists the known built-in boilerplate versions for the given flavor ("js" or "ts"), newest first
+ */
+function getBoilerplateSnapshots(/** @type string */ flavor) {
+    let snapshots = [{
+        version: boilerplateVersion,
+        path: path.join(__dirname, "boilerplate", flavor),
+        gitignorePath: path.join(__dirname, "boilerplate", "git", "gitignore.tpl")
+    }];
+
+    let historyPath = path.join(__dirname, "boilerplate", "history");
+    let versions = fs.existsSync(historyPath) ? fs.readdirSync(historyPath).filter(v => semver.valid(v)) : [];
+    for (let version of versions.sort(semver.rcompare)) {
+        let snapshotPath = path.join(historyPath, version, flavor);
+        if (fs.existsSync(snapshotPath)) {
+            snapshots.push({ version, path: snapshotPath, gitignorePath: path.join(snapshotPath, "gitignore.tpl") });
+        }
+    }
+
+    return snapshots;
+}
+
+/**
+ * @typedef {{ file: string; status: "unchanged" | "updated" | "added" | "skipped" | "conflict" }} UpgradedFile
+ */
+
+/**
+ * Detects the boilerplate version a plugin was generated from and three-way merges the changes made to the
+ * boilerplate since then into the plugin files. Files with conflicting changes are reported and left untouched.
+ */
+function upgradePluginBoilerplate(/** @type Context */ ctx, /** @type string */ pluginPath, /** @type string */ tmpDir) {
+    let packageJsonPath = path.join(pluginPath, "package.json");
+    if (!fs.existsSync(packageJsonPath)) {
+        throw new UserError(`No package.json manifest found at local path "${packageJsonPath}"`, "EMANIFEST");
+    }
+    let { name: npmPackageName = "", publisher, pluginName } = fs.readJsonSync(packageJsonPath, { encoding: "utf-8" });
+    pluginName = pluginName || npmPackageName;
+    let entryPath = findPluginEntry(pluginPath);
+    if (!publisher || !pluginName || !entryPath) {
+        throw new UserError(`"${pluginPath}" doesn't look like a plugin generated with "acp init".`, "EMANIFEST");
+    }
+    let flavor = entryPath.match(/\.jsx?$/) ? "js" : "ts";
+
+    let readFile = (/** @type string */ dir, /** @type string */ file) =>
+        fs.existsSync(path.join(dir, file)) ? fs.readFileSync(path.join(dir, file), "utf-8") : void 0;
+    let countDifferentLines = (/** @type {string | undefined} */ a, /** @type {string | undefined} */ b) =>
+        a === void 0 && b === void 0 ? 0 :
+        a === void 0 || b === void 0 ? (a || b || "").split("\n").length :
+        diff3.diffComm(a.split("\n"), b.split("\n")).reduce((count, part) =>
+            count + (part.buffer1 || []).length + (part.buffer2 || []).length, 0);
+
+    // Render every known boilerplate version for this plugin, the same way "acp init" did
+    let snapshots = getBoilerplateSnapshots(flavor).map(snapshot => {
+        let renderedPath = path.join(tmpDir, `boilerplate-${snapshot.version}-${flavor}`);
+        copyBuiltinBoilerplate(snapshot.path, snapshot.gitignorePath, renderedPath, npmPackageName, publisher, pluginName);
+        return { version: snapshot.version, renderedPath };
+    });
+    let current = snapshots[0];
+
+    // A file most likely derives from the version it differs the least from. Files are matched separately, in case
+    // some of them were already upgraded by hand, but ties go to the version detected for the whole plugin.
+    let findBase = (/** @type {string[]} */ files, preferred = current) => snapshots.reduce((best, snapshot) => {
+        let distance = (/** @type {typeof snapshot} */ s) => files.reduce((total, file) =>
+            total + countDifferentLines(readFile(pluginPath, file), readFile(s.renderedPath, file)), 0);
+        return distance(snapshot) < distance(best) ? snapshot : best;
+    }, preferred);
+    let detected = findBase(upgradableBoilerplateFiles);
+    ctx.logger.info(`Detected boilerplate version ${detected.version} (${flavor}). ` +
+        `Upgrading to version ${current.version}...`);
+
+    /** @type UpgradedFile[] */
+    let files = [];
+    for (let file of upgradableBoilerplateFiles) {
+        let filePath = path.join(pluginPath, file);
+        let ours = readFile(pluginPath, file);
+        let baseText = readFile((ours === void 0 ? detected : findBase([file], detected)).renderedPath, file);
+        let theirs = readFile(current.renderedPath, file);
+
+        if (theirs === void 0 || theirs === baseText) {
+            files.push({ file, status: "unchanged" });
+            continue;
+        }
+        if (ours === void 0) {
+            if (baseText !== void 0) {
+                ctx.logger.info(`${file}: deleted in the plugin, skipped`);
+                files.push({ file, status: "skipped" });
+            } else {
+                fsAction(ctx, `write "${filePath}"`, () => fs.writeFileSync(filePath, theirs));
+                ctx.logger.info(`${file}: added`);
+                files.push({ file, status: "added" });
+            }
+            continue;
+        }
+
+        let regions = diff3.diff3Merge(ours.split("\n"), (baseText || "").split("\n"), theirs.split("\n"),
+            { excludeFalseConflicts: true });
+        let conflicts = regions.filter(region => region.conflict);
+        let merged = regions.map(region => region.ok ? region.ok.join("\n") : "").join("\n");
+        if (!conflicts.length && file === "package.json") {
+            try {
+                JSON.parse(merged);
+            } catch (e) {
+                // Treat the whole file as conflicting, rather than writing invalid JSON
+                conflicts = [{ conflict: { a: ours.split("\n"), aIndex: 0, b: theirs.split("\n") } }];
+            }
+        }
+
+        if (conflicts.length) {
+            ctx.logger.info(`${file}: CONFLICT (left unchanged)`);
+            for (let { conflict } of conflicts) {
+                ctx.logger.info(`<<<<<<< plugin (line ${conflict.aIndex + 1})`);
+                conflict.a.forEach(line => ctx.logger.info(line));
+                ctx.logger.info(`=======`);
+                conflict.b.forEach(line => ctx.logger.info(line));
+                ctx.logger.info(`>>>>>>> boilerplate ${current.version}`);
+            }
+            files.push({ file, status: "conflict" });
+        } else if (merged !== ours) {
+            fsAction(ctx, `write "${filePath}"`, () => fs.writeFileSync(filePath, merged));
+            ctx.logger.info(`${file}: updated`);
+            files.push({ file, status: "updated" });
+        } else {
+            files.push({ file, status: "unchanged" });
+        }
+    }
+
+    return { fromVersion: detected.version, toVersion: current.version, flavor, files };
+}
+
+/**
+ * @typedef {{ root?: string; placeholders?: string[]; rename?: Object.<string, string> }} TemplateManifest
+ */
+
+/**
+ * Fetches an external boilerplate template (any npm, git or local spec) and copies it to the target folder,
+ * substituting the placeholders declared in its acp-template.json
+ */
+async function copyTemplate(
+    /** @type Context */ ctx,
+    /** @type string */ templateSpec,
+    /** @type string */ tmpDir,
+    /** @type string */ targetPath,
+    /** @type {Object.<string, string>} */ placeholderValues
+) {
+    let { pluginTmpPath: templatePath } = await extractPlugin(ctx, templateSpec, tmpDir, targetPath);
+
+    let manifestPath = path.join(templatePath, templateManifestFileName);
+    if (!fs.existsSync(manifestPath)) {
+        throw new UserError(`"${templateSpec}" is not a plugin template. ` +
+            `Missing "${templateManifestFileName}".`, "EMANIFEST");
+    }
+    /** @type TemplateManifest */
+    let { root = "template", placeholders = [], rename = {} } = fs.readJsonSync(manifestPath, { encoding: "utf-8" });
+
+    let unknownPlaceholders = placeholders.filter(placeholder => !placeholderValues.hasOwnProperty(placeholder));
+    if (unknownPlaceholders.length) {
+        throw new UserError(`Template uses unsupported placeholder(s) ${unknownPlaceholders.join(", ")}. ` +
+            `Supported placeholders: ${Object.keys(placeholderValues).join(", ")}.`, "EMANIFEST");
+    }
+
+    let rootPath = path.join(templatePath, root);
+    if (!fs.existsSync(rootPath)) {
+        throw new UserError(`Template root folder "${root}" not found in "${templateSpec}".`, "EMANIFEST");
+    }
+
+    ctx.logger.info(`Copying template files...`);
+    fs.copySync(rootPath, targetPath);
+    for (let file of listFilesRecursive(rootPath)) {
+        let filePath = path.join(targetPath, file);
+        let contents = fs.readFileSync(filePath);
+        // Binary files are copied as they are
+        if (contents.indexOf(0) !== -1) {
+            continue;
+        }
+        let text = contents.toString("utf-8");
+        let newText = placeholders.reduce((result, placeholder) =>
+            result.split(placeholder).join(placeholderValues[placeholder]), text);
+        if (newText !== text) {
+            fs.writeFileSync(filePath, newText);
+        }
+    }
+
+    // npm doesn't publish files such as .gitignore, so templates ship them under a different name
+    for (let from of Object.keys(rename)) {
+        if (fs.existsSync(path.join(targetPath, from))) {
+            fs.renameSync(path.join(targetPath, from), path.join(targetPath, rename[from]));
+        }
+    }
+
+    let packageJsonPath = path.join(targetPath, "package.json");
+    if (fs.existsSync(packageJsonPath)) {
+        let packageJson = fs.readJsonSync(packageJsonPath, { encoding: "utf-8" });
+        // if npmPackageName is not set, omit "name" field entirely
+        if (packageJson.name === "") {
+            delete packageJson.name;
+            fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, void 0, " ".repeat(2)));
+        }
+    }
+}
+
+async function renamePlugin(
+    /** @type Context */ ctx,
+    /** @type string */ npmPackageName,
+    /** @type string */ publisher,
+    /** @type string */ pluginName,
+    /** @type string */ targetPath,
+    npmInstall = true
+) {
+    let packageJsonPath = path.join(targetPath, "package.json");
+    let webpackConfigPath = path.join(targetPath, "webpack.config.js");
+
+    if (!fs.existsSync(packageJsonPath) || !fs.existsSync(webpackConfigPath)) {
+        throw new UserError(`Couldn't find a valid plugin in "${targetPath}"`, "EMANIFEST");
+    }
+
+    let { publisher: oldPublisher, pluginName: oldPluginName, name: oldName } =
+        fs.readJsonSync(packageJsonPath, { encoding: "utf-8" });
+    oldPluginName = oldPluginName || oldName;
+
+    let updatedFiles = patchPluginFiles(packageJsonPath, webpackConfigPath, npmPackageName, publisher, pluginName);
+    updatedFiles.push(...replacePluginReferences(targetPath, oldPublisher, oldPluginName, publisher, pluginName,
+        npmPackageName));
+
+    updatedFiles.forEach(file => ctx.logger.info(`Updated "${path.relative(targetPath, file)}".`));
+
+    if (npmInstall) {
+        let npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+        ctx.logger.info(`Running npm install...`);
+        child_process.spawnSync(npmCmd, ["install"], { cwd: targetPath, stdio: getChildStdio(ctx) });
+    }
+}
+
+/**
+ * Sets the plugin identity in package.json and the matching library name in the webpack config. Returns the paths of
+ * the updated files.
+ */
+function patchPluginFiles(
+    /** @type string */packageJsonPath,
+    /** @type string */webpackConfigPath,
+    /** @type string */npmPackageName,
+    /** @type string */publisher,
+    /** @type string */pluginName
+) {
+    // Resolved before touching anything, so a config we can't handle leaves the plugin unchanged
+    let libraryDefinitions = findWebpackLibraryDefinitions(webpackConfigPath);
+    if (!libraryDefinitions.length) {
+        throw new UserError(`Couldn't find the webpack "output.library" setting in "${webpackConfigPath}" ` +
+            `or in the local files it requires.`, "EMANIFEST");
+    }
+
+    let packageJson = JSON.parse(fs.readFileSync(packageJsonPath, { encoding: "utf-8" }));
+
+    if (npmPackageName && packageJson.name === void 0) {
+        // Ensure name is added at the top
+        packageJson = { name: npmPackageName, ...packageJson };
+    } else {
+        // if npmPackageName is not set, omit "name" field entirely
+        packageJson.name = npmPackageName || void 0;
+    }
+
+    packageJson.publisher = publisher;
+    packageJson.pluginName = pluginName;
+
+    if (packageJson.author === "<publisher>") {
+        packageJson.author = publisher;
+    }
+
+    fs.writeFileSync(
+        packageJsonPath,
+        JSON.stringify(packageJson, void 0, " ".repeat(2))
+    );
+
+    let pluginLibraryName = getPluginLibraryName(publisher, pluginName);
+    let configFiles = libraryDefinitions.map(d => d.file).filter((file, i, files) => files.indexOf(file) === i);
+    for (let file of configFiles) {
+        let source = fs.readFileSync(file, { encoding: "utf-8" });
+        // Replace from the end, so the offsets of the remaining definitions stay valid
+        let fileDefinitions = libraryDefinitions.filter(d => d.file === file).sort((a, b) => b.start - a.start);
+        for (let { start, end, quote } of fileDefinitions) {
+            source = source.slice(0, start) + quote + pluginLibraryName + quote + source.slice(end);
+        }
+        fs.writeFileSync(file, source);
+    }
+
+    return [packageJsonPath, ...configFiles];
+}
+
+/**
+ * @typedef {{ path: string; source: string; resolve(node: any): any }} WebpackConfigFile
+ */
+
+/**
+ * Parses the webpack config and the local files it require()s, so that split and merged configs are covered too, and
+ * calls the visitor for every node, with its ancestors. resolve() follows variables to the expression they hold.
+ */
+function walkWebpackConfig(
+    /** @type string */ webpackConfigPath,
+    /** @type {(node: any, ancestors: any[], file: WebpackConfigFile) => void} */
+    visitor
+) {
+    /** @type string[] */
+    let visitedFiles = [];
+
+    let visitFile = (/** @type string */ filePath) => {
+        if (visitedFiles.indexOf(filePath) !== -1) {
+            return;
+        }
+        visitedFiles.push(filePath);
+
+        let source = fs.readFileSync(filePath, { encoding: "utf-8" });
+        /** @type any */
+        let ast;
+        try {
+            ast = acorn.parse(source, {
+                ecmaVersion: "latest", sourceType: "script", locations: true,
+                allowHashBang: true, allowReturnOutsideFunction: true
+            });
+        } catch (e) {
+            throw new UserError(`Couldn't parse "${filePath}": ${e.message}`, "EMANIFEST");
+        }
+
+        /** @type {Object.<string, any>} */
+        let variables = {};
+        acornWalk.full(ast, (/** @type any */ node) => {
+            if (node.type === "VariableDeclarator" && node.id.type === "Identifier" && node.init) {
+                variables[node.id.name] = node.init;
+            }
+        });
+        let resolve = (/** @type any */ node) => {
+            for (let depth = 0; node.type === "Identifier" && variables[node.name] && depth < 10; depth++) {
+                node = variables[node.name];
+            }
+            return node;
+        };
+
+        acornWalk.fullAncestor(ast, (/** @type any */ node, state, /** @type any[] */ ancestors) => {
+            visitor(node, ancestors, { path: filePath, source, resolve });
+
+            if (node.type === "CallExpression" && node.callee.type === "Identifier" &&
+                node.callee.name === "require" && node.arguments.length === 1 &&
+                node.arguments[0].type === "Literal" && /^\.\.?\//.test(node.arguments[0].value)
+            ) {
+                let requiredPath = path.resolve(path.dirname(filePath), node.arguments[0].value);
+                let resolvedPath = [requiredPath, requiredPath + ".js"]
+                    .find(p => path.extname(p) === ".js" && fs.existsSync(p) && fs.statSync(p).isFile());
+                if (resolvedPath) {
+                    visitFile(resolvedPath);
+                }
+            }
+        });
+    };
+
+    visitFile(webpackConfigPath);
+}
+
+function isWebpackOutputName(/** @type any */ node) {
+    return !!node && ((node.type === "Identifier" && node.name === "output") ||
+        (node.type === "MemberExpression" && getPropertyName(node) === "output"));
+}
+
+/**
+ * Tells whether an object literal is a webpack output config, from the property or variable it's assigned to
+ */
+function isWebpackOutputObject(/** @type any */ objectNode, /** @type any */ parent) {
+    return !!objectNode && objectNode.type === "ObjectExpression" && !!parent && (
+        (parent.type === "Property" && getPropertyName(parent) === "output") ||
+        (parent.type === "VariableDeclarator" && isWebpackOutputName(parent.id)) ||
+        (parent.type === "AssignmentExpression" && isWebpackOutputName(parent.left)));
+}
+
+/**
+ * Calls the callback with the value of each output setting with the given name (e.g. output: { name: value } or
+ * output.name = value) in the webpack config
+ */
+function findWebpackOutputSettings(
+    /** @type string */ webpackConfigPath,
+    /** @type string */ name,
+    /** @type {(valueNode: any, file: WebpackConfigFile) => void} */ callback
+) {
+    walkWebpackConfig(webpackConfigPath, (node, ancestors, file) => {
+        let parent = ancestors[ancestors.length - 2];
+        let grandParent = ancestors[ancestors.length - 3];
+        if (node.type === "Property" && getPropertyName(node) === name && isWebpackOutputObject(parent, grandParent)) {
+            callback(node.value, file);
+        } else if (node.type === "AssignmentExpression" && node.left.type === "MemberExpression" &&
+            getPropertyName(node.left) === name && isWebpackOutputName(node.left.object)) {
+            callback(node.right, file);
+        }
+    });
+}
+
+/**
+ * @typedef {{ file: string; line: number; start: number; end: number; value: string; quote: string }} LibraryDefinition
+ */
+
+/**
+ * Parses the webpack config and finds the string literals that define output.library (or output.library.name),
+ * following variables and local require() calls, so that split configs are covered too
+ */
+function findWebpackLibraryDefinitions(/** @type string */ webpackConfigPath) {
+    /** @type LibraryDefinition[] */
+    let definitions = [];
+
+    findWebpackOutputSettings(webpackConfigPath, "library", (libraryNode, file) => {
+        let valueNode = file.resolve(libraryNode);
+        if (valueNode.type === "ObjectExpression") {
+            // webpack 5 style: library: { name, type }
+            let nameProperty = valueNode.properties.find((/** @type any */ p) => getPropertyName(p) === "name");
+            if (!nameProperty) {
+                return;
+            }
+            valueNode = file.resolve(nameProperty.value);
+        }
+
+        if (valueNode.type === "Literal" && typeof valueNode.value === "string") {
+            definitions.push({
+                file: file.path, line: valueNode.loc.start.line, start: valueNode.start, end: valueNode.end,
+                value: valueNode.value, quote: valueNode.raw[0]
+            });
+        } else if (valueNode.type === "TemplateLiteral" && !valueNode.expressions.length) {
+            definitions.push({
+                file: file.path, line: valueNode.loc.start.line, start: valueNode.start, end: valueNode.end,
+                value: valueNode.quasis[0].value.cooked, quote: "`"
+            });
+        } else {
+            throw new UserError(`Can't determine the webpack library name set at "${file.path}" ` +
+                `(line ${valueNode.loc.start.line}). Use a string literal or a variable holding one.`, "EMANIFEST");
+        }
+    });
+
+    return definitions.filter((d, i) => definitions.findIndex(o => o.file === d.file && o.start === d.start) === i);
+}
+
+/**
+ * Finds the webpack library targets, set with output.libraryTarget or, in webpack 5, output.library.type. The value
+ * is undefined when it isn't a string literal or a variable holding one.
+ */
+function findWebpackLibraryTargets(/** @type string */ webpackConfigPath) {
+    /** @type {{ file: string; line: number; value?: string }[]} */
+    let targets = [];
+    let addTarget = (/** @type any */ valueNode, /** @type {{ path: string; resolve(node: any): any }} */ file) => {
+        let resolved = file.resolve(valueNode);
+        targets.push({
+            file: file.path,
+            line: valueNode.loc.start.line,
+            value: resolved.type === "Literal" && typeof resolved.value === "string" ? resolved.value : void 0
+        });
+    };
+
+    findWebpackOutputSettings(webpackConfigPath, "libraryTarget", addTarget);
+    findWebpackOutputSettings(webpackConfigPath, "library", (libraryNode, file) => {
+        let valueNode = file.resolve(libraryNode);
+        let typeProperty = valueNode.type === "ObjectExpression" &&
+            valueNode.properties.find((/** @type any */ p) => getPropertyName(p) === "type");
+        if (typeProperty) {
+            addTarget(typeProperty.value, file);
+        }
+    });
+    // output.library.type = "jsonp"
+    walkWebpackConfig(webpackConfigPath, (node, ancestors, file) => {
+        if (node.type === "AssignmentExpression" && node.left.type === "MemberExpression" &&
+            getPropertyName(node.left) === "type" && node.left.object.type === "MemberExpression" &&
+            getPropertyName(node.left.object) === "library" && isWebpackOutputName(node.left.object.object)) {
+            addTarget(node.right, file);
+        }
+    });
+
+    return targets;
+}
+
+/**
+ * Collects the webpack externals (externals: ... or config.externals = ...), as module names, regular expressions and
+ * the source of external functions. Externals that can't be read statically (e.g. the result of a function call) are
+ * flagged as unresolved.
+ */
+function findWebpackExternals(/** @type string */ webpackConfigPath) {
+    let externals = {
+        /** @type string[] */
+        names: [],
+        /** @type RegExp[] */
+        patterns: [],
+        /** @type string[] */
+        functions: [],
+        unresolved: false
+    };
+
+    let addExternals = (/** @type any */ valueNode, /** @type WebpackConfigFile */ file) => {
+        let node = file.resolve(valueNode);
+        if (node.type === "ArrayExpression") {
+            node.elements.filter((/** @type any */ e) => e).forEach((/** @type any */ e) => addExternals(e, file));
+        } else if (node.type === "SpreadElement") {
+            addExternals(node.argument, file);
+        } else if (node.type === "ObjectExpression") {
+            for (let property of node.properties) {
+                let name = property.type === "Property" ? getPropertyName(property) : void 0;
+                if (property.type === "SpreadElement") {
+                    addExternals(property.argument, file);
+                } else if (typeof name === "string") {
+                    externals.names.push(name);
+                } else {
+                    externals.unresolved = true;
+                }
+            }
+        } else if (node.type === "Literal" && typeof node.value === "string") {
+            externals.names.push(node.value);
+        } else if (node.type === "Literal" && node.regex) {
+            externals.patterns.push(new RegExp(node.regex.pattern, node.regex.flags));
+        } else if (node.type === "FunctionExpression" || node.type === "ArrowFunctionExpression") {
+            externals.functions.push(file.source.slice(node.start, node.end));
+        } else if (node.type === "MemberExpression" && getPropertyName(node) === "externals") {
+            // e.g. "common.externals" from a split config, whose definition is collected when walking that file
+        } else {
+            externals.unresolved = true;
+        }
+    };
+
+    walkWebpackConfig(webpackConfigPath, (node, ancestors, file) => {
+        if (node.type === "Property" && getPropertyName(node) === "externals" &&
+            ancestors[ancestors.length - 2].type === "ObjectExpression") {
+            addExternals(node.value, file);
+        } else if (node.type === "AssignmentExpression" && node.left.type === "MemberExpression" &&
+            getPropertyName(node.left) === "externals") {
+            addExternals(node.right, file);
+        }
+    });
+
+    return externals;
+}
+
+function getPropertyName(/** @type any */ node) {
+    let key = node.type === "MemberExpression" ? node.property : node.key;
+    if (node.computed && key.type !== "Literal") {
+        return void 0;
+    }
+    return key.type === "Identifier" ? key.name : key.value;
+}
+
+/**
+ * Replaces the references to the old plugin identity (CMS URIs such as plugin://publisher/plugin_name and the old
+ * library name) in the plugin sources, README and .vscode settings, as well as the README placeholders. Returns the
+ * paths of the updated files.
+ */
+function replacePluginReferences(
+    /** @type string */ pluginPath,
+    /** @type {string | undefined} */ oldPublisher,
+    /** @type {string | undefined} */ oldPluginName,
+    /** @type string */ publisher,
+    /** @type string */ pluginName,
+    /** @type string */ npmPackageName
+) {
+    let escapeRegExp = (/** @type string */ text) => text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    /** @type {[RegExp, string | ((match: string, ...groups: string[]) => string)][]} */
+    let replacements = [];
+    if (oldPublisher && oldPluginName && (oldPublisher !== publisher || oldPluginName !== pluginName)) {
+        replacements.push([
+            new RegExp(`\\b([a-z][a-z0-9+.-]*):\\/\\/${escapeRegExp(oldPublisher)}\\/${escapeRegExp(oldPluginName)}(?![\\w.-])`, "g"),
+            (/** @type string */ match, /** @type string */ scheme) => `${scheme}://${publisher}/${pluginName}`
+        ]);
+        replacements.push([
+            new RegExp(`${escapeRegExp(getPluginLibraryName(oldPublisher, oldPluginName))}(?![\\w$])`, "g"),
+            getPluginLibraryName(publisher, pluginName)
+        ]);
+    }
+    let readmePlaceholders = /** @type {typeof replacements} */([
+        [/<publisher>/g, publisher],
+        [/<plugin_name>/g, pluginName],
+        [/<package_name>/g, npmPackageName],
+        [/<library_name>/g, getPluginLibraryName(publisher, pluginName)]
+    ]);
+
+    let files = ["src", ".vscode"]
+        .filter(dir => fs.existsSync(path.join(pluginPath, dir)))
+        .map(dir => listFilesRecursive(path.join(pluginPath, dir)).map(file => path.join(pluginPath, dir, file)))
+        .reduce((all, dirFiles) => all.concat(dirFiles), [])
+        .concat(["README.md", "readme.md"].map(file => path.join(pluginPath, file)).filter(f => fs.existsSync(f)));
+
+    /** @type string[] */
+    let updatedFiles = [];
+    for (let file of files) {
+        let contents = fs.readFileSync(file);
+        if (contents.indexOf(0) !== -1) {
+            continue;
+        }
+        let text = contents.toString("utf-8");
+        let fileReplacements = path.basename(file).match(/^readme\.md$/i) ?
+            replacements.concat(readmePlaceholders) : replacements;
+        let newText = fileReplacements.reduce((result, [regex, value]) => 
+            result.replace(regex, typeof value === "string" ? () => value : value), text);
+        if (newText !== text) {
+            fs.writeFileSync(file, newText);
+            updatedFiles.push(file);
+        }
+    }
+
+    return updatedFiles;
+}
+
+/**
+ * Creates the definition and component files of a new module or page from the boilerplate/generate templates and
+ * registers the definition in the plugin init(). Returns the paths of the created and updated files.
+ */
+function generateDefinition(
+    /** @type Context */ ctx,
+    /** @type string */ pluginPath,
+    /** @type {"module" | "page"} */ kind,
+    /** @type string */ name
+) {
+    if (!name.match(/^[a-z0-9]+(-[a-z][a-z0-9]*)*$/)) {
+        throw new UserError(`The ${kind} name "${name}" must contain only lowercase letters, numbers and hyphens (-). ` +
+            `Numbers are not allowed immediately after a hyphen.`);
+    }
+
+    let { publisher, pluginName } = readPluginManifest(pluginPath);
+    let entryPath = findPluginEntry(pluginPath);
+    if (!entryPath) {
+        throw new UserError(`Couldn't find the plugin entry point ("src/plugin.ts" or "src/plugin.js").`, "EMANIFEST");
+    }
+    let jsMode = !!entryPath.match(/\.jsx?$/);
+
+    let camelName = name.replace(/-([a-z])/g, (match, capture) => capture.toUpperCase());
+    let componentName = camelName[0].toUpperCase() + camelName.slice(1) + (kind === "page" ? "Page" : "");
+    let defName = camelName + (kind === "page" ? "Page" : "Module");
+    let defId = `${kind}://${publisher}/${pluginName}/${name}`;
+
+    let relativeDir = path.join(kind === "page" ? "pages" : "modules", name);
+    let targetDir = path.join(pluginPath, "src", relativeDir);
+    if (fs.existsSync(targetDir)) {
+        throw new UserError(`A ${kind} named "${name}" already exists at "${targetDir}".`, "ECONFLICT");
+    }
+
+    let templateDir = path.join(__dirname, "boilerplate", "generate", jsMode ? "js" : "ts", kind);
+    let fillTemplate = (/** @type string */ text) => text
+        .replace(/__ComponentName__/g, componentName)
+        .replace(/__defName__/g, defName)
+        .replace(/__name__/g, name);
+
+    // Patch the entry point in memory first, so nothing is written if the registration spot can't be found
+    let importPath = "./" + path.join(relativeDir, defName).replace(/\\/g, "/");
+    let source = fs.readFileSync(entryPath, "utf-8");
+    source = addImport(source, `import { ${defName} } from "${importPath}";`);
+    source = addToPluginInit(source, `api.add${kind === "page" ? "Page" : "Module"}Def("${defId}", ${defName});`);
+
+    fs.mkdirpSync(targetDir);
+    let files = fs.readdirSync(templateDir).map(templateFile => {
+        let filePath = path.join(targetDir, fillTemplate(templateFile));
+        fs.writeFileSync(filePath, fillTemplate(fs.readFileSync(path.join(templateDir, templateFile), "utf-8")));
+        ctx.logger.info(`Created "${path.relative(pluginPath, filePath)}".`);
+        return filePath;
+    });
+
+    fs.writeFileSync(entryPath, source);
+    ctx.logger.info(`Registered ${kind} "${defId}" in "${path.relative(pluginPath, entryPath)}".`);
+
+    return files.concat(entryPath);
+}
+
+/**
+ * Adds a translation file for the given locale, seeded with the keys of the first declared locale, and adds the
+ * locale to getAvailableLocales(). Returns the paths of the created and updated files.
+ */
+function generateLocale(/** @type Context */ ctx, /** @type string */ pluginPath, /** @type string */ locale) {
+    if (!locale.match(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/)) {
+        throw new UserError(`Invalid locale code "${locale}". Expected a language tag, like "en-US".`);
+    }
+
+    let entryPath = findPluginEntry(pluginPath);
+    let source = entryPath && fs.readFileSync(entryPath, "utf-8");
+    let locales = source && getDeclaredLocales(source);
+    if (!entryPath || !source || !locales) {
+        throw new UserError(`Couldn't find a "getAvailableLocales" method returning an array literal ` +
+            `in the plugin entry point.`, "EMANIFEST");
+    }
+    if (locales.indexOf(locale) !== -1) {
+        throw new UserError(`Locale "${locale}" is already declared.`, "ECONFLICT");
+    }
+
+    let translationDir = path.join(pluginPath, "src", "translation");
+    let translationPath = path.join(translationDir, `${locale}.json`);
+    if (fs.existsSync(translationPath)) {
+        throw new UserError(`Translation file "${translationPath}" already exists.`, "ECONFLICT");
+    }
+    let seedPath = locales.length ? path.join(translationDir, `${locales[0]}.json`) : void 0;
+    let translations = seedPath && fs.existsSync(seedPath) ? fs.readJsonSync(seedPath, { encoding: "utf-8" }) : {};
+
+    fs.mkdirpSync(translationDir);
+    fs.writeFileSync(translationPath, JSON.stringify(translations, void 0, " ".repeat(4)) + "\n");
+    ctx.logger.info(`Created "${path.relative(pluginPath, translationPath)}".`);
+
+    fs.writeFileSync(entryPath, source.replace(availableLocalesRegex, (match, head, list) =>
+        `${head}${list.trim() ? `${list.replace(/\s*$/, "")}, ` : ""}"${locale}"]`));
+    ctx.logger.info(`Added "${locale}" to "getAvailableLocales" in "${path.relative(pluginPath, entryPath)}".`);
+
+    return [translationPath, entryPath];
+}
+
+/**
+ * Inserts an import statement after the last top-level import of a module
+ */
+function addImport(/** @type string */ source, /** @type string */ importStatement) {
+    let imports = source.match(/^import [^;]+;[^\S\n]*\n/gm);
+    if (!imports) {
+        return importStatement + "\n\n" + source;
+    }
+    let lastImport = imports[imports.length - 1];
+    let index = source.lastIndexOf(lastImport) + lastImport.length;
+    return source.slice(0, index) + importStatement + "\n" + source.slice(index);
+}
+
+/**
+ * Inserts a statement in the plugin init(), before the boilerplate placeholder comment if still present, or after the
+ * public path assignment otherwise
+ */
+function addToPluginInit(/** @type string */ source, /** @type string */ statement) {
+    let placeholderMatch = source.match(/^([^\S\n]*)\/\/ Add module, page definitions and others here/m);
+    if (placeholderMatch && placeholderMatch.index !== void 0) {
+        let index = placeholderMatch.index;
+        return source.slice(0, index) + placeholderMatch[1] + statement + "\n" + source.slice(index);
+    }
+    let publicPathMatch = source.match(/^([^\S\n]*)__webpack_public_path__ = publicPath;[^\S\n]*\n/m);
+    if (publicPathMatch && publicPathMatch.index !== void 0) {
+        let index = publicPathMatch.index + publicPathMatch[0].length;
+        return source.slice(0, index) + publicPathMatch[1] + statement + "\n" + source.slice(index);
+    }
+    throw new UserError(`Couldn't find where to register the definition in the plugin init(). ` +
+        `Add "${statement}" manually.`, "EMANIFEST");
+}
+
+/**
+ * Global JSONP callback name under which the CMS expects the plugin bundle to register itself
+ */
+function getPluginLibraryName(/** @type string */ publisher, /** @type string */ pluginName) {
+    // HACK: this is a copy paste from @alethio/cms package
+    return "__" + (publisher + "/" + pluginName)
+        .replace(/\./g, "_")
+        .replace(/\//g, "__")
+        .replace(/-([a-z])/gi, (match, capture) => capture.toUpperCase());
+}
+
+/**
+ * @typedef {{
+ *  devMode?: boolean;
+ *  locked?: { resolved: string; integrity?: string };
+ *  hostVersion?: string;
+ *  force?: boolean;
+ *  projectDir?: string;
+ *  build?: BuildOptions;
+ * }} InstallOptions
+ *
+ * @typedef {{
+ *  publisher: string; pluginName: string; version: string; path: string; resolved: string; integrity?: string
+ * }} InstallResult
+ */
+
+async function installPlugin(
+    /** @type Context */ ctx,
+    /** @type string */ targetDir, /** @type string */ npmPackageSpec, /** @type string */ tmpDir,
+    /** @type InstallOptions */ options = {}
+) {
+    let resolved = await resolvePlugin(ctx, npmPackageSpec, tmpDir, options);
+    return await installResolvedPlugin(ctx, targetDir, npmPackageSpec, resolved, options);
+}
+
+/**
+ * @typedef {{
+ *  fetchSpec: string;
+ *  pluginTmpPath: string;
+ *  manifest: { _resolved?: string; _integrity?: string };
+ *  pluginManifest: ReturnType<typeof readPluginManifest>;
+ * }} ResolvedPlugin
+ */
+
+/**
+ * Fetches the plugin package to a temporary folder and reads its manifest
+ */
+async function resolvePlugin(
+    /** @type Context */ ctx,
+    /** @type string */ npmPackageSpec, /** @type string */ tmpDir,
+    /** @type InstallOptions */ { locked = void 0, projectDir = process.cwd() } = {}
+) {
+    let fetchSpec = locked ? locked.resolved : npmPackageSpec;
+    let packedPluginPath = await getPackedPluginPath(fetchSpec, projectDir);
+    let { pluginTmpPath, manifest } = packedPluginPath ?
+        extractPackedPlugin(ctx, packedPluginPath, tmpDir, locked && locked.integrity) :
+        await extractPlugin(ctx, fetchSpec, tmpDir, projectDir, locked && locked.integrity);
+
+    let pluginManifest = readPluginManifest(pluginTmpPath);
+    let { name, publisher, pluginName, version } = pluginManifest;
+
+    ctx.logger.info(`Resolved plugin spec (plugin: "${publisher}/${pluginName}", version: ${version}, npm: "${name}").`);
+    emitEvent(ctx, {
+        type: "resolved", spec: npmPackageSpec, publisher, pluginName, version, npmName: name,
+        resolved: manifest._resolved || fetchSpec
+    });
+
+    /** @type ResolvedPlugin */
+    let resolved = { fetchSpec, pluginTmpPath, manifest, pluginManifest };
+    return resolved;
+}
+
+/**
+ * Builds the fetched plugin if needed and installs it in the target folder
+ */
+async function installResolvedPlugin(
+    /** @type Context */ ctx,
+    /** @type string */ targetDir, /** @type string */ npmPackageSpec,
+    /** @type ResolvedPlugin */ { fetchSpec, pluginTmpPath, manifest, pluginManifest },
+    /** @type InstallOptions */
+    { devMode = false, hostVersion = void 0, force = false, projectDir = process.cwd(), build = {} } = {}
+) {
+    let {
+        publisher, distDir, mainJsFilename, pluginName, version, hasPrepareScript, hasBuildScript, cmsVersionRange
+    } = pluginManifest;
+
+    checkHostCompatibility(ctx, `${publisher}/${pluginName}@${version}`, cmsVersionRange, hostVersion, force);
+
+    let mainJsPath = path.join(pluginTmpPath, distDir, mainJsFilename);
+    if (!fs.existsSync(mainJsPath)) {
+        // We might be installing from git; attempt to build the plugin first
+        ctx.logger.warn(`No main JS file found in plugin package at ` +
+            `"${path.join(distDir, mainJsFilename)}". ` +
+            `Building the plugin from source...`);
+
+        emitEvent(ctx, { type: "building", spec: npmPackageSpec, publisher, pluginName, version, path: pluginTmpPath });
+        await buildPlugin(ctx, pluginTmpPath, mainJsPath, hasPrepareScript, hasBuildScript, build);
+        emitEvent(ctx, { type: "built", spec: npmPackageSpec, publisher, pluginName, version, path: pluginTmpPath });
+    }
+
+    let pluginSrcDistPath = path.join(pluginTmpPath, distDir);
+    let pluginTargetBasePath = getPluginTargetPath(targetDir, publisher, pluginName);
+    let pluginTargetPath = devMode ? pluginTargetBasePath : path.join(pluginTargetBasePath, version);
+
+    /** @type string[] */
+    let pathsToReplace = [];
+    if (isSymlink(pluginTargetBasePath)) {
+        // clean up from a previous link command
+        pathsToReplace.push(pluginTargetBasePath);
+    } else if (
+        fs.existsSync(pluginTargetBasePath) &&
+        (devMode || fs.existsSync(path.join(pluginTargetBasePath, "index.js")))
+    ) {
+        // Clear other installed versions if we're installing in dev mode, or we detected an old --dev installation
+        pathsToReplace.push(pluginTargetBasePath);
+    } else if (fs.existsSync(pluginTargetPath)) {
+        // Re-installing the same version
+        pathsToReplace.push(pluginTargetPath);
+    }
+
+    // Prepare the new installation in a sibling folder, so the target is left untouched if anything goes wrong
+    let stagingPath = getTempSiblingPath(pluginTargetBasePath, "staging");
+    try {
+        ctx.logger.info(`Copying plugin distributables to target directory...`);
+        fsAction(ctx, `copy "${pluginSrcDistPath}" -> "${stagingPath}"`,
+            () => fs.copySync(pluginSrcDistPath, stagingPath));
+        if (mainJsFilename !== "index.js") {
+            fsAction(ctx, `rename "${path.join(stagingPath, mainJsFilename)}" -> "index.js"`,
+                () => normalizeMainJs(stagingPath, mainJsFilename));
+        }
+        emitEvent(ctx, {
+            type: "copied", spec: npmPackageSpec, publisher, pluginName, version,
+            from: pluginSrcDistPath, to: stagingPath
+        });
+
+        fsAction(ctx, `write "${path.join(stagingPath, installMetadataFileName)}"`,
+            () => writeInstallMetadata(stagingPath, {
+                publisher,
+                pluginName,
+                version,
+                spec: toInstallMetadataSpec(npmPackageSpec, projectDir),
+                resolved: manifest._resolved || fetchSpec,
+                integrity: manifest._integrity || void 0,
+                manifest: generatePluginManifest(ctx, pluginTmpPath, build),
+                pluginDependencies: pluginManifest.pluginDependencies
+            }));
+
+        swapIntoPlace(ctx, stagingPath, pluginTargetPath, pathsToReplace);
+    } finally {
+        if (fs.existsSync(stagingPath)) {
+            fs.removeSync(stagingPath);
+        }
+    }
+
+    ctx.logger.info(ctx.dryRun ?
+        `\n[dry-run] Would install plugin "${publisher}/${pluginName}" to "${pluginTargetPath}".` :
+        `\nSuccessfully installed plugin "${publisher}/${pluginName}" to "${pluginTargetPath}".`);
+
+    /** @type InstallResult */
+    let result = {
+        publisher,
+        pluginName,
+        version,
+        path: pluginTargetPath,
+        resolved: manifest._resolved || fetchSpec,
+        integrity: manifest._integrity || void 0
+    };
+    emitEvent(ctx, { type: "installed", spec: npmPackageSpec, ...result });
+    return result;
+}
+
+
+/**
+ * Installs the plugin dependencies (strictly from the lockfile, if the plugin has one) and builds it
+ */
+async function buildPlugin(
+    /** @type Context */ ctx,
+    /** @type string */ pluginPath, /** @type string */ mainJsPath,
+    /** @type boolean */ hasPrepareScript, /** @type boolean */ hasBuildScript,
+    /** @type BuildOptions */ buildOptions = {}
+) {
+    let deadline = buildOptions.buildTimeout ? Date.now() + buildOptions.buildTimeout * 1000 : void 0;
+    let hasLockfile = ["package-lock.json", "npm-shrinkwrap.json"].some(f => fs.existsSync(path.join(pluginPath, f)));
+
+    if (buildOptions.buildLog) {
+        ctx.logger.info(`Writing build output to "${buildOptions.buildLog}".`);
+    }
+
+    ctx.logger.info(hasLockfile ? `Running npm ci...` : `Running npm install...`);
+    await runBuildStep(ctx, pluginPath, [hasLockfile ? "ci" : "install"], buildOptions, deadline);
+    ctx.logger.info(``);
+    if (!hasPrepareScript && hasBuildScript) {
+        ctx.logger.info(`Plugin doesn't seem to have a "prepare" script. Doing "npm run build" instead...`);
+        await runBuildStep(ctx, pluginPath, ["run", "build"], buildOptions, deadline);
+        ctx.logger.info(``);
+    }
+
+    if (!fs.existsSync(mainJsPath)) {
+        throw new UserError(`Couldn't resolve plugin main JS file at "${mainJsPath}"` +
+            (buildOptions.buildLog ? `. See the build output in "${buildOptions.buildLog}".` : ""), "EBUILD");
+    }
+}
+
+/**
+ * Returns the environment that plugin code (build scripts and the like) runs with
+ */
+function getBuildEnv(/** @type Context */ ctx, /** @type BuildOptions */ buildOptions) {
+    /** @type {Object.<string, string | undefined>} */
+    let env = process.env;
+    if (buildOptions.cleanEnv) {
+        env = {};
+        for (let name of buildEnvAllowlist.concat(buildOptions.keepEnv || [])) {
+            if (process.env[name] !== void 0) {
+                env[name] = process.env[name];
+            }
+        }
+    }
+    if (ctx.registry) {
+        // Install the plugin dependencies from the registry the plugin was fetched from
+        env = { ...env, npm_config_registry: ctx.registry };
+    }
+    return env;
+}
+
+/**
+ * Runs an npm command for building a plugin. Its output goes to the build log if there is one, or to the console.
+ * When the context has a log prefix, the output is labeled with it line by line, as other builds may run in parallel.
+ */
+async function runBuildStep(
+    /** @type Context */ ctx,
+    /** @type string */ pluginPath,
+    /** @type string[] */ npmArgs,
+    /** @type BuildOptions */ buildOptions,
+    /** @type {number | undefined} */ deadline
+) {
+    let npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+    let command = ["npm", ...npmArgs].join(" ");
+    let env = getBuildEnv(ctx, buildOptions);
+
+    let timeout = deadline !== void 0 ? deadline - Date.now() : void 0;
+    if (timeout !== void 0 && timeout <= 0) {
+        throw new UserError(`Plugin build timed out after ${buildOptions.buildTimeout} seconds, ` +
+            `before running "${command}".`, "EBUILD");
+    }
+
+    let buildLog = buildOptions.buildLog;
+    let logPrefix = ctx.logPrefix;
+    let logFd = buildLog && !logPrefix ? fs.openSync(buildLog, "a") : void 0;
+    /** @type {((line: string) => void) | undefined} */
+    let writeLine;
+    if (logPrefix) {
+        writeLine = buildLog ?
+            line => fs.appendFileSync(buildLog, `[${logPrefix}] ${line}\n`) :
+            line => ctx.logger.info(line);
+    }
+    let timedOut = false;
+    /** @type {{ code: number | null; signal: string | null }} */
+    let exit;
+    try {
+        if (writeLine && buildLog) {
+            writeLine(`> ${command}`);
+        } else if (logFd !== void 0) {
+            fs.writeSync(logFd, `> ${command}\n`);
+        }
+        // With a timeout, npm runs in its own process group, so that the scripts it started are killed with it
+        let detached = timeout !== void 0 && process.platform !== "win32";
+        let child = child_process.spawn(npmCmd, npmArgs, {
+            cwd: pluginPath,
+            env,
+            detached,
+            stdio: writeLine ? ["ignore", "pipe", "pipe"] :
+                logFd !== void 0 ? ["ignore", logFd, logFd] : getChildStdio(ctx)
+        });
+        if (writeLine) {
+            let output = writeLine;
+            readline.createInterface({ input: child.stdout }).on("line", line => output(line));
+            readline.createInterface({ input: child.stderr }).on("line", line => output(line));
+        }
+        let timer = timeout !== void 0 ? setTimeout(() => {
+            timedOut = true;
+            try {
+                if (detached) {
+                    process.kill(-/** @type number */(child.pid), "SIGKILL");
+                } else {
+                    child.kill("SIGKILL");
+                }
+            } catch (e) {
+                // The process group exited in the meantime, so report its own exit status
+                if (e.code !== "ESRCH") {
+                    throw e;
+                }
+                timedOut = false;
+            }
+        }, timeout) : void 0;
+        exit = await new Promise((resolve, reject) => {
+            child.on("error", e => {
+                clearTimeout(timer);
+                reject(new UserError(`Couldn't run "${command}": ${e.message}`, "EBUILD"));
+            });
+            child.on("exit", (code, signal) => {
+                clearTimeout(timer);
+                resolve({ code, signal });
+            });
+        });
+    } finally {
+        if (logFd !== void 0) {
+            fs.closeSync(logFd);
+        }
+    }
+
+    let seeLog = buildOptions.buildLog ? ` See the build output in "${buildOptions.buildLog}".` : "";
+    if (timedOut) {
+        throw new UserError(`Plugin build timed out after ${buildOptions.buildTimeout} seconds, ` +
+            `while running "${command}".${seeLog}`, "EBUILD");
+    }
+    if (exit.code !== 0) {
+        throw new UserError(`"${command}" failed ` +
+            (exit.signal ? `(killed by ${exit.signal}).` : `with exit code ${exit.code}.`) + seeLog, "EBUILD");
+    }
+}
+
+/**
+ * The CMS always loads plugins from "index.js", so the main JS file (and its source map) are renamed accordingly
+ */
+function normalizeMainJs(/** @type string */ distPath, /** @type string */ mainJsFilename) {
+    if (mainJsFilename !== "index.js") {
+        fs.renameSync(path.join(distPath, mainJsFilename), path.join(distPath, "index.js"));
+        if (fs.existsSync(path.join(distPath, mainJsFilename + ".map"))) {
+            fs.renameSync(
+                path.join(distPath, mainJsFilename + ".map"),
+                path.join(distPath, "index.js.map")
+            );
+        }
+    }
+}
+
+/**
+ * Creates a <publisher>-<plugin>-<version>.tgz archive, containing only the plugin distributables, that can be
+ * installed directly with "acp install", without rebuilding the plugin
+ */
+async function packPlugin(
+    /** @type Context */ ctx,
+    /** @type string */ pluginPath, /** @type string */ outDir, /** @type string */ tmpDir,
+    /** @type BuildOptions */ buildOptions = {}
+) {
+    let {
+        name, publisher, distDir, mainJsFilename, pluginName, version, hasPrepareScript, hasBuildScript
+    } = readPluginManifest(pluginPath);
+
+    ctx.logger.info(`Resolved plugin (plugin: "${publisher}/${pluginName}", version: ${version}, npm: "${name}").`);
+
+    let mainJsPath = path.join(pluginPath, distDir, mainJsFilename);
+    if (!fs.existsSync(mainJsPath)) {
+        ctx.logger.info(`No main JS file found at "${path.join(distDir, mainJsFilename)}". ` +
+            `Building the plugin...`);
+        await buildPlugin(ctx, pluginPath, mainJsPath, hasPrepareScript, hasBuildScript, buildOptions);
+    }
+
+    let stagingPath = path.join(tmpDir, "pack");
+    fs.copySync(path.join(pluginPath, distDir), path.join(stagingPath, packedDistDir));
+    normalizeMainJs(path.join(stagingPath, packedDistDir), mainJsFilename);
+
+    // Keep the original manifest, so the archive can go through readPluginManifest when installed
+    let packageJson = fs.readJsonSync(path.join(pluginPath, "package.json"), { encoding: "utf-8" });
+    packageJson.main = packedDistDir + "/index.js";
+    delete packageJson.scripts;
+    fs.writeFileSync(
+        path.join(stagingPath, "package.json"),
+        JSON.stringify(packageJson, void 0, " ".repeat(2)) + "\n"
+    );
+
+    /** @type {{ publisher: string; pluginName: string; version: string; files: Object.<string, string> }} */
+    let packMetadata = { publisher, pluginName, version, files: {} };
+    for (let file of listFilesRecursive(path.join(stagingPath, packedDistDir))) {
+        packMetadata.files[file] = hashFile(path.join(stagingPath, packedDistDir, file));
+    }
+    fs.writeFileSync(
+        path.join(stagingPath, packMetadataFileName),
+        JSON.stringify(packMetadata, void 0, " ".repeat(2)) + "\n"
+    );
+
+    let archivePath = path.join(outDir, `${publisher}-${pluginName}-${version}.tgz`);
+    fs.mkdirpSync(outDir);
+    await tar.c({
+        cwd: stagingPath,
+        file: archivePath,
+        gzip: true,
+        portable: true
+    }, [packMetadataFileName, "package.json", packedDistDir]);
+
+    return { archivePath, publisher, pluginName, version };
+}
+
+/**
+ * Returns the archive path if the spec points to an archive created by "acp pack". Fails if the spec points to a file
+ * that isn't a valid archive.
+ */
+async function getPackedPluginPath(/** @type string */ npmPackageSpec, /** @type string */ projectDir) {
+    let parsedSpec;
+    try {
+        parsedSpec = npa(npmPackageSpec, projectDir);
+    } catch (e) {
+        return void 0;
+    }
+    if (parsedSpec.type !== "file" || !fs.existsSync(parsedSpec.fetchSpec)) {
+        return void 0;
+    }
+
+    let entryCount = 0;
+    let isPacked = false;
+    try {
+        // Sync mode throws the zlib errors of corrupt archives, but then also emits them as unhandled events
+        await tar.t({
+            file: parsedSpec.fetchSpec,
+            strict: true,
+            onentry: entry => {
+                entryCount++;
+                isPacked = isPacked || entry.path === packMetadataFileName;
+            }
+        });
+    } catch (e) {
+        throw new UserError(`"${parsedSpec.fetchSpec}" is not a valid package archive (${e.message}).`);
+    }
+    if (!entryCount) {
+        throw new UserError(`"${parsedSpec.fetchSpec}" is not a valid package archive.`);
+    }
+
+    return isPacked ? /** @type string */(parsedSpec.fetchSpec) : void 0;
+}
+
+function extractPackedPlugin(
+    /** @type Context */ ctx,
+    /** @type string */ archivePath,
+    /** @type string */ tmpDir,
+    /** @type {string | undefined} */ integrity
+) {
+    ctx.logger.info(`Loading packed plugin...`);
+    let archiveIntegrity = "sha512-" + crypto.createHash("sha512").update(fs.readFileSync(archivePath)).digest("base64");
+    if (integrity && integrity !== archiveIntegrity) {
+        throw new UserError(`Integrity check failed for "${archivePath}" (expected: ${integrity}, ` +
+            `actual: ${archiveIntegrity}).`, "EINTEGRITY");
+    }
+
+    let pluginTmpPath = path.join(tmpDir, "packed-" + crypto.createHash("md5").update(archivePath).digest("hex"));
+    fs.mkdirpSync(pluginTmpPath);
+    tar.x({ file: archivePath, cwd: pluginTmpPath, sync: true });
+
+    let packMetadata = fs.readJsonSync(path.join(pluginTmpPath, packMetadataFileName), { encoding: "utf-8" });
+    let packedFiles = listFilesRecursive(path.join(pluginTmpPath, packedDistDir));
+    let packedDistPath = path.join(pluginTmpPath, packedDistDir);
+    let files = Object.keys(packMetadata.files);
+    if (
+        files.length !== packedFiles.length ||
+        files.some(file => !fs.existsSync(path.join(packedDistPath, file)) ||
+            hashFile(path.join(packedDistPath, file)) !== packMetadata.files[file])
+    ) {
+        throw new UserError(`Packed plugin "${archivePath}" is corrupt. ` +
+            `Its files don't match the packed checksums.`, "EINTEGRITY");
+    }
+
+    return {
+        pluginTmpPath,
+        manifest: { _resolved: archivePath, _integrity: archiveIntegrity }
+    };
+}
+
+/**
+ * @typedef {{ publisher: string; pluginName: string; version: string; removedPath?: string }} UninstallResult
+ */
+
+async function uninstallPlugin(
+    /** @type Context */ ctx,
+    /** @type string */ targetDir, /** @type string */ npmPackageSpec, /** @type string */ tmpDir,
+    /** @type string */ projectDir, allVersions = false
+) {
+    let packedPluginPath = await getPackedPluginPath(npmPackageSpec, projectDir);
+    let { pluginTmpPath } = packedPluginPath ?
+        extractPackedPlugin(ctx, packedPluginPath, tmpDir, void 0) :
+        await extractPlugin(ctx, npmPackageSpec, tmpDir, projectDir);
+
+    let { name, publisher, pluginName, version } = readPluginManifest(pluginTmpPath);
+
+    ctx.logger.info(`Resolved plugin spec (plugin: "${publisher}/${pluginName}", version: ${version}, npm: "${name}").`);
+
+    return await removePluginInstall(ctx, targetDir, publisher, pluginName, version, allVersions);
+}
+
+async function removePluginInstall(
+    /** @type Context */ ctx,
+    /** @type string */ targetDir, /** @type string */ publisher, /** @type string */ pluginName,
+    /** @type string */ version, allVersions = false
+) {
+    let pluginTargetBasePath = getPluginTargetPath(targetDir, publisher, pluginName);
+    /** @type UninstallResult */
+    let result = { publisher, pluginName, version };
+
+    if (fs.existsSync(pluginTargetBasePath) && fs.lstatSync(pluginTargetBasePath).isSymbolicLink()) {
+        // Plugin was linked, just unlink
+        warnDependentPlugins(ctx, targetDir, publisher, pluginName);
+        fsAction(ctx, `remove symlink "${pluginTargetBasePath}"`, () => fs.removeSync(pluginTargetBasePath));
+        result.removedPath = pluginTargetBasePath;
+        ctx.logger.info(ctx.dryRun ? `\n[dry-run] Would unlink plugin "${publisher}/${pluginName}".` :
+            `\nUnlinked plugin "${publisher}/${pluginName}".`);
+    } else {
+        /** e.g. publisher/my-plugin/index.js */
+        let hasFlatInstall = fs.existsSync(path.join(pluginTargetBasePath, "index.js"));
+        /** e.g. publisher/my-plugin/1.0.0/ */
+        let versionedPluginPath = path.join(pluginTargetBasePath, version);
+        /** e.g. publisher/my-plugin/1.0.0/index.js */
+        let hasVersionedInstall = fs.existsSync(path.join(versionedPluginPath, "index.js"));
+
+        if (!fs.existsSync(pluginTargetBasePath) || (!hasFlatInstall && !hasVersionedInstall)) {
+            ctx.logger.warn(`No plugin installation found at "${pluginTargetBasePath}"`);
+        } else {
+            // Delete the entire plugin folder or the selected version, based on selection
+            let pluginInstallPath = allVersions || hasFlatInstall ? pluginTargetBasePath : versionedPluginPath;
+            let removesBasePath = pluginInstallPath === pluginTargetBasePath;
+            warnDependentPlugins(ctx, targetDir, publisher, pluginName, removesBasePath ? void 0 : version);
+            removeAtomically(ctx, pluginInstallPath);
+            result.removedPath = pluginInstallPath;
+
+            // Clean-up plugin folder if no other versions are left
+            if (
+                !removesBasePath && fs.existsSync(pluginTargetBasePath) &&
+                !fs.readdirSync(pluginTargetBasePath).filter(f => f !== version).length
+            ) {
+                await fsAction(ctx, `rmdir "${pluginTargetBasePath}"`, () => fs.rmdir(pluginTargetBasePath));
+            }
+
+            let versionInfo = allVersions || hasFlatInstall ? "" : ` (version: ${version})`;
+            ctx.logger.info(ctx.dryRun ?
+                `\n[dry-run] Would uninstall plugin "${publisher}/${pluginName}"${versionInfo}.` :
+                `\nUninstalled plugin "${publisher}/${pluginName}"${versionInfo}.`);
+        }
+    }
+
+    if (result.removedPath) {
+        emitEvent(ctx, { type: "uninstalled", ...result });
+    }
+    return result;
+}
+
+/**
+ * Returns a hidden path next to the given one, which is ignored when listing plugins
+ */
+function getTempSiblingPath(/** @type string */ filePath, /** @type string */ kind) {
+    return path.join(
+        path.dirname(filePath),
+        `.${path.basename(filePath)}.acp-${kind}-${crypto.randomBytes(4).toString("hex")}`
+    );
+}
+
+/**
+ * Moves a fully prepared folder to its final location. Anything in the way is moved aside first and is only deleted
+ * after the swap succeeds. If the swap fails, the previous state is restored.
+ */
+function swapIntoPlace(
+    /** @type Context */ ctx,
+    /** @type string */ stagingPath, /** @type string */ finalPath, /** @type string[] */ pathsToReplace
+) {
+    /** @type {{ originalPath: string; backupPath: string }[]} */
+    let backups = [];
+    try {
+        for (let originalPath of pathsToReplace) {
+            let backupPath = getTempSiblingPath(originalPath, "backup");
+            fsAction(ctx, `move "${originalPath}" -> "${backupPath}"`, () => fs.renameSync(originalPath, backupPath));
+            backups.push({ originalPath, backupPath });
+        }
+        fsAction(ctx, `mkdirp "${path.dirname(finalPath)}"`, () => fs.mkdirpSync(path.dirname(finalPath)));
+        fsAction(ctx, `move "${stagingPath}" -> "${finalPath}"`, () => fs.renameSync(stagingPath, finalPath));
+    } catch (e) {
+        for (let { originalPath, backupPath } of backups.reverse()) {
+            // Folders created in the meantime (e.g. when switching from a --dev install) hold nothing of value
+            fs.removeSync(originalPath);
+            fs.renameSync(backupPath, originalPath);
+        }
+        throw e;
+    }
+
+    for (let { backupPath } of backups) {
+        fsAction(ctx, `remove "${backupPath}"`, () => fs.removeSync(backupPath));
+    }
+}
+
+/**
+ * Renames the folder out of the way before deleting it, so a failed deletion doesn't leave a partial plugin behind
+ */
+function removeAtomically(/** @type Context */ ctx, /** @type string */ filePath) {
+    let backupPath = getTempSiblingPath(filePath, "removed");
+    fsAction(ctx, `move "${filePath}" -> "${backupPath}"`, () => fs.renameSync(filePath, backupPath));
+    fsAction(ctx, `remove "${backupPath}"`, () => fs.removeSync(backupPath));
+}
+
+async function extractPlugin(
+    /** @type Context */ctx,
+    /** @type string */npmPackageSpec,
+    /** @type string */tmpDir,
+    /** @type string */projectDir,
+    /** @type {string | undefined} */integrity = void 0
+) {
+    checkOfflineSpec(ctx, npmPackageSpec, projectDir);
+
+    let pacoteOpts = {
+        ...getPacoteOptions(ctx, tmpDir, projectDir),
+        // The default dirPacker strips .npmignore'd files, which we don't want to do if installing from git/file,
+        // because we will build the plugin locally.
+        // See https://github.com/npm/pacote/blob/latest/lib/util/pack-dir.js#L35
+        dirPacker(manifest, dir) {
+            return tar.c({
+                cwd: dir,
+                gzip: true,
+                portable: true,
+                prefix: "package/"
+            }, ["."])
+        }
+    };
+
+    // Resolve plugin name from spec
+    ctx.logger.info(`Loading plugin manifest...`);
+    let manifest = await fromCache(ctx, npmPackageSpec, () => pacote.manifest(npmPackageSpec, pacoteOpts));
+    if (!manifest) {
+        throw new UserError(`Could not resolve plugin manifest for spec "${npmPackageSpec}"`, "ENETWORK");
+    }
+
+    let packageTmpDirName = manifest.name;
+    if (!packageTmpDirName) {
+        packageTmpDirName = crypto.createHash("md5").update(npmPackageSpec).digest("hex");
+    }
+
+    // Extract plugin to a temporary folder
+    let pluginTmpPath = path.join(tmpDir, packageTmpDirName.replace(/\//g, path.sep));
+    if (integrity) {
+        // When installing from a lockfile, the fetched tarball must match the recorded checksum. This isn't left to
+        // pacote, which skips the check without a cache and never settles on a mismatch with one.
+        let tarball = await fromCache(ctx, npmPackageSpec, () => pacote.tarball(npmPackageSpec, pacoteOpts));
+        checkIntegrity(npmPackageSpec, tarball, integrity);
+        let tarballPath = pluginTmpPath + ".tgz";
+        fs.outputFileSync(tarballPath, tarball);
+        fs.mkdirpSync(pluginTmpPath);
+        tar.x({ file: tarballPath, cwd: pluginTmpPath, strip: 1, sync: true });
+    } else {
+        await fromCache(ctx, npmPackageSpec, () => pacote.extract(npmPackageSpec, pluginTmpPath, pacoteOpts));
+    }
+
+    return { pluginTmpPath, manifest };
+}
+
+/**
+ * Checks data against an integrity string (one or more space-separated "<algorithm>-<base64 digest>" hashes)
+ */
+function checkIntegrity(/** @type string */ source, /** @type Buffer */ data, /** @type string */ integrity) {
+    let hashes = integrity.trim().split(/\s+/);
+    let algorithm = hashes[0].split("-")[0];
+    let actual = `${algorithm}-` + crypto.createHash(algorithm).update(data).digest("base64");
+    if (hashes.indexOf(actual) === -1) {
+        throw new UserError(`Integrity check failed for "${source}" (expected: ${integrity}, actual: ${actual}).`,
+            "EINTEGRITY");
+    }
+}
+
+/**
+ * Options for pacote calls. Packages go through the persistent cache when one is configured, or through a
+ * throwaway cache in the temp folder otherwise. In offline mode, only the persistent cache is used.
+ */
+function getPacoteOptions(/** @type Context */ ctx, /** @type string */ tmpDir, /** @type string */ projectDir) {
+    let npmConfig = loadNpmConfig(projectDir);
+    return {
+        ...npmConfig,
+        registry: ctx.registry || npmConfig.registry,
+        cache: ctx.cacheDir || path.join(tmpDir, "pacote-cache"),
+        offline: ctx.offline,
+        // Relative paths in plugin specs are resolved from here
+        where: projectDir
+    };
+}
+
+/**
+ * Loads the registry, auth, proxy and TLS settings from the npm config, with the same precedence as npm:
+ * npm_config_* environment variables, then the project .npmrc, the user .npmrc and the global npmrc
+ */
+function loadNpmConfig(/** @type string */ projectDir) {
+    /** @type {Object.<string, any>} */
+    let envConfig = {};
+    for (let name of Object.keys(process.env)) {
+        if (/^npm_config_/i.test(name) && process.env[name] !== "") {
+            // e.g. npm_config_https_proxy -> https-proxy. Like npm, keep the case of "_" keys (_authToken)
+            let key = name.slice("npm_config_".length).replace(/(?!^)_/g, "-");
+            envConfig[key[0] === "_" ? key : key.toLowerCase()] = process.env[name];
+        }
+    }
+
+    let defaultPrefix = process.platform === "win32" ? path.dirname(process.execPath) :
+        path.dirname(path.dirname(process.execPath));
+    let configFiles = [
+        envConfig.globalconfig || path.join(envConfig.prefix || defaultPrefix, "etc", "npmrc"),
+        envConfig.userconfig || path.join(os.homedir(), ".npmrc"),
+        path.join(projectDir, ".npmrc")
+    ];
+
+    /** @type {Object.<string, any>} */
+    let config = { "strict-ssl": true };
+    for (let configFile of configFiles) {
+        if (!fs.existsSync(configFile)) {
+            continue;
+        }
+        let fileConfig = ini.parse(fs.readFileSync(configFile, "utf-8"));
+        for (let key of Object.keys(fileConfig)) {
+            let value = fileConfig[key];
+            config[expandNpmConfigEnv(key, configFile)] = typeof value === "string" ?
+                expandNpmConfigEnv(value, configFile) : value;
+        }
+    }
+    Object.assign(config, envConfig);
+
+    if (config.cafile && !config.ca) {
+        let cafile = path.resolve(projectDir, config.cafile);
+        if (!fs.existsSync(cafile)) {
+            throw new UserError(`CA file "${cafile}" from the npm config doesn't exist.`);
+        }
+        config.ca = fs.readFileSync(cafile, "utf-8")
+            .match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+    }
+    for (let key of ["strict-ssl", "always-auth"]) {
+        if (typeof config[key] === "string") {
+            config[key] = config[key] !== "false";
+        }
+    }
+
+    /** @type {Object.<string, any>} */
+    let pacoteConfig = {};
+    for (let key of Object.keys(config).filter(key => npmConfigAllowlist.some(pattern => pattern.test(key)))) {
+        pacoteConfig[key] = config[key];
+    }
+    return pacoteConfig;
+}
+
+/**
+ * npm config settings passed on to pacote. Per-registry settings are keyed by the registry URL without the protocol
+ * (e.g. "//npm.my-company.com/:_authToken").
+ */
+let npmConfigAllowlist = [
+    /^registry$/, /^@[^:]+:registry$/, /^(?:\/\/.*:)?(?:_authToken|token|_auth|username|_password|always-auth)$/,
+    /^ca$/, /^cert$/, /^key$/, /^strict-ssl$/, /^(?:https-)?proxy$/, /^no-?proxy$/, /^local-address$/,
+    /^user-agent$/, /^maxsockets$/, /^fetch-retr(?:ies|y-factor|y-mintimeout|y-maxtimeout)$/
+];
+
+/**
+ * Replaces ${VAR} references in an npm config file with environment variables, failing like npm does if one is
+ * not set
+ */
+function expandNpmConfigEnv(/** @type string */ value, /** @type string */ configFile) {
+    return value.replace(/(\\*)\$\{([^}]+)\}/g, (match, escapes, name) => {
+        // An odd number of backslashes escapes the reference
+        if (escapes.length % 2) {
+            return match;
+        }
+        if (process.env[name] === void 0) {
+            throw new UserError(`Environment variable "${name}" used in "${configFile}" is not set.`);
+        }
+        return process.env[name];
     });
 }
 
-class UserError extends Error {}
+/**
+ * Git repositories are cloned on every fetch, so they can't be served from the package cache
+ */
+function checkOfflineSpec(/** @type Context */ ctx, /** @type string */ npmPackageSpec, /** @type string */ projectDir) {
+    if (ctx.offline && npa(npmPackageSpec, projectDir).type === "git") {
+        throw new UserError(`Can't fetch "${npmPackageSpec}" in offline mode, because git specs aren't cached. ` +
+            `Install a packed archive instead (see 'acp pack').`, "ENETWORK");
+    }
+}
 
-let program = new commander.Command();
-program
-    .name("acp")
-    .description("Alethio CMS Plugin tool\n\nacp [command] -h for help on a specific command.")
-    .version(JSON.parse(fs.readFileSync(path.join(__dirname, "package.json"), "utf-8")).version);
+/**
+ * Runs a pacote call, reporting network failures and cache misses in offline mode as user errors
+ */
+async function fromCache(
+    /** @type Context */ ctx,
+    /** @type string */ npmPackageSpec,
+    /** @type {() => Promise<any>} */ fn
+) {
+    try {
+        return await fn();
+    } catch (e) {
+        if (e.code === "ENOTCACHED") {
+            throw new UserError(`"${npmPackageSpec}" is not in the package cache at "${ctx.cacheDir}". ` +
+                `Add it with 'acp cache add' while online.`, "ENETWORK");
+        }
+        // Registry responses (E404 etc.) and connection failures
+        if (/^E\d{3}$/.test(e.code) || networkErrorCodes.indexOf(e.code) !== -1) {
+            throw new UserError(`Couldn't fetch "${npmPackageSpec}": ${e.message}`, "ENETWORK");
+        }
+        if (isGitError(e)) {
+            // The first "fatal:" line tells why (e.g. "Could not resolve host"), the rest is git boilerplate
+            let fatalMatch = String(e.stderr || "").match(/^fatal: .*$/m);
+            throw new UserError(`Couldn't fetch "${npmPackageSpec}" with git: ` +
+                (fatalMatch ? fatalMatch[0] : e.message), "ENETWORK");
+        }
+        throw e;
+    }
+}
 
-let defaultTargetPath = path.join("dist", "plugins");
+/**
+ * Tells whether an error comes from a git command run by pacote (e.g. cloning a repository that doesn't exist or
+ * can't be reached). These carry the git stderr and, for clones, the git exit code as a number.
+ */
+function isGitError(/** @type any */ e) {
+    return e.code === "ENOGIT" ||
+        (typeof e.stderr === "string" && (typeof e.code === "number" || /exited with error code/.test(e.message)));
+}
 
-program
-    .command("install <npm_package_spec...>")
-    .alias("i")
-    .description("Installs one or more plugins in a local folder.", {
-        "npm_package_spec": "Anything that npm recognizes (npm package, github handle, local path etc.)"
-    })
-    .option("-t, --target <target_path>", "where to install the plugin", defaultTargetPath)
-    .option("-d, --dev", "install plugin in dev mode (no <plugin>/<version> folder nesting)")
-    .action(wrapErrors(async (npmPackageSpecs, cmd) => {
-        let targetDir = path.resolve(cmd.target);
-        let devMode = cmd.dev;
-
-        let tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "acp-"));
-        try {
-            for (let pluginArg of npmPackageSpecs) {
-                process.stdout.write(`\n> Install plugin "${pluginArg}":\n\n`);
-                await installPlugin(targetDir, pluginArg, tmpDir, devMode);
-            }
-        } finally {
-            fs.emptyDirSync(tmpDir);
-            fs.rmdirSync(tmpDir);
-        }
-    }));
-
-program
-    .command("link <plugin_dir...>")
-    .description("Installs one or more plugins via symlinks for development purposes.", {
-        "plugin_dir": "A local folder that contains a plugin manifest."
-    })
-    .option("-t, --target <target_path>", "where to link the plugin", defaultTargetPath)
-    .action(wrapErrors(async (pluginDirs, cmd) => {
-        let targetDir = path.resolve(cmd.target);
-
-        for (let pluginPath of pluginDirs) {
-            process.stdout.write(`\n> Link plugin "${pluginPath}":\n\n`);
-            await linkPlugin(targetDir, path.resolve(pluginPath));
-        }
-    }));
-
-program
-    .command("uninstall <npm_package_spec...>")
-    .alias("remove")
-    .description("Uninstall a plugin from the target folder.", {
-        "npm_package_spec": "Anything that npm recognizes (npm package, github handle, local path etc.)"
-    })
-    .option("-t, --target <target_path>", "Path where the plugin is installed. " +
-        "Same as the target path provided to 'install' command.", defaultTargetPath)
-    .option("-a, --all", "Remove all installed plugin versions, instead of just one.")
-    .action(wrapErrors(async (npmPackageSpecs, cmd) => {
-        let targetDir = path.resolve(cmd.target);
-        let allVersions = cmd.all;
-
-        let tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "acp-"));
+async function linkPlugin(/** @type Context */ ctx, /** @type string */ targetDir, /** @type string */ pluginPath) {
+    let { publisher, distDir, mainJsFilename, pluginName} = readPluginManifest(pluginPath);
+
+    let mainJsPath = path.join(pluginPath, distDir, mainJsFilename);
+    if (!fs.existsSync(mainJsPath)) {
+        throw new UserError(`Couldn't resolve plugin main JS file at "${mainJsPath}"`, "EMANIFEST");
+    }
+
+    if (mainJsFilename !== "index.js") {
+        throw new UserError(`The plugin can only be linked if its main js file is named "index.js" (main js: "${mainJsFilename}").`);
+    }
+
+    let pluginSrcDistPath = path.resolve(pluginPath, distDir);
+    let pluginTargetPath = getPluginTargetPath(targetDir, publisher, pluginName);
+
+    fsAction(ctx, `mkdirp "${path.join(targetDir, publisher)}"`, () => fs.mkdirpSync(path.join(targetDir, publisher)));
+    if (fs.existsSync(pluginTargetPath) || isSymlink(pluginTargetPath)) {
+        fsAction(ctx, `remove "${pluginTargetPath}"`, () => fs.removeSync(pluginTargetPath));
+    }
+    await fsAction(ctx, `symlink "${pluginTargetPath}" -> "${pluginSrcDistPath}"`,
+        () => fs.symlink(pluginSrcDistPath, pluginTargetPath, "junction"));
+
+    ctx.logger.info(ctx.dryRun ? `[dry-run] Would symlink plugin to "${pluginTargetPath}".` :
+        `Symlinked plugin to "${pluginTargetPath}".`);
+    emitEvent(ctx, { type: "linked", publisher, pluginName, path: pluginTargetPath, linkTarget: pluginSrcDistPath });
+
+    return { publisher, pluginName, path: pluginTargetPath, linkTarget: pluginSrcDistPath };
+}
+
+/**
+ * Runs a long-lived child process, prefixing each line of its output with the given label
+ */
+function spawnPrefixed(
+    /** @type Context */ ctx,
+    /** @type string */ label, /** @type string */ command, /** @type string[] */ args, /** @type string */ cwd
+) {
+    let child = child_process.spawn(command, args, { cwd, stdio: ["ignore", "pipe", "pipe"] });
+
+    let pipeLines = (/** @type {NodeJS.ReadableStream} */ input, /** @type {(line: string) => void} */ output) =>
+        readline.createInterface({ input }).on("line", line => output(`[${label}] ${line}`));
+    pipeLines(child.stdout, line => ctx.logger.info(line));
+    pipeLines(child.stderr, line => ctx.logger.info(line));
+
+    child.on("exit", code => {
+        ctx.logger.warn(`[${label}] "${command} ${args.join(" ")}" exited with code ${code}`);
+    });
+
+    return child;
+}
+
+function waitForFile(/** @type string */ filePath, /** @type child_process.ChildProcess */ producer) {
+    return new Promise((resolve, reject) => {
+        let check = () => {
+            if (fs.existsSync(filePath)) {
+                resolve();
+            } else if (producer.exitCode !== null) {
+                reject(new UserError(`Couldn't resolve plugin main JS file at "${filePath}"`, "EBUILD"));
+            } else {
+                setTimeout(check, 500);
+            }
+        };
+        check();
+    });
+}
+
+let devServerEventsPath = "/__acp/events";
+let devServerReloadScript = `<script>new EventSource("${devServerEventsPath}")` +
+    `.addEventListener("reload", function () { location.reload(); });</script>`;
+/** @type {Object.<string, string>} */
+let devServerMimeTypes = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "application/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".map": "application/json; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".gif": "image/gif",
+    ".ico": "image/x-icon",
+    ".woff": "font/woff",
+    ".woff2": "font/woff2"
+};
+
+/**
+ * Static HTTP server for the host app. HTML pages get a small script injected, which listens for server-sent
+ * events and reloads the page when a plugin is rebuilt.
+ */
+async function startDevServer(
+    /** @type Context */ ctx, /** @type string */ rootDir, /** @type number */ port, /** @type string */ host
+) {
+    /** @type http.ServerResponse[] */
+    let clients = [];
+
+    let server = http.createServer((req, res) => {
+        let urlPath;
         try {
-            for (let pluginArg of npmPackageSpecs) {
-                process.stdout.write(`\n> Uninstall plugin "${pluginArg}":\n\n`);
-                await uninstallPlugin(targetDir, pluginArg, tmpDir, allVersions);
-            }
-        } finally {
-            fs.emptyDirSync(tmpDir);
-            fs.rmdirSync(tmpDir);
-        }
-    }));
-
-program
-    .command("init <publisher> <plugin_name> [npm_package_name]")
-    .description("Generates plugin boilerplate in the current folder. IMPORTANT: Folder must be empty.", {
-        "npm_package_name": "Package name that will be used in the generated package.json. Useful if the plugin will be distributed via npm.",
-        "publisher": "A handle identifying the publisher of the plugin. It should be something unique, like the domain-name of an organization or a user's GitHub handle.",
-        "plugin_name": "The name of the plugin. The CMS will reference the plugin by this name, together with the publisher (e.g. plugin://publisher/plugin_name)."
-    })
-    .option("--js", "should the init command generate JavaScript boilerplate instead of TypeScript boilerplate?")
-    .action(wrapErrors(async (publisher, pluginName, npmPackageName = "", cmd) => {
-        let jsMode = cmd.js;
-
-        if (npmPackageName && !validateNpmPackageName(npmPackageName).validForNewPackages) {
-            throw new UserError(`Invalid npm package name "${npmPackageName}"`);
-        }
-        validatePublisherName(publisher);
-        validatePluginName(pluginName);
-
-        process.stdout.write(`\n> Create boilerplate for plugin "${publisher}/${pluginName}":\n\n`);
-        createBoilerplate(npmPackageName, publisher, pluginName, jsMode, process.cwd());
-        process.stdout.write("Done.\n");
-    }));
-
-program
-    .command("rename <publisher> <plugin_name> [npm_package_name]")
-    .description("Renames the plugin, by updating all references in the plugin manifest and webpack configuration", {
-        "npm_package_name": "Package name that will be used in the generated package.json. Useful if the plugin will be distributed via npm.",
-        "publisher": "A handle identifying the publisher of the plugin. It should be something unique, like the domain-name of an organization or a user's GitHub handle.",
-        "plugin_name": "The name of the plugin. The CMS will reference the plugin by this name, together with the publisher (e.g. plugin://publisher/plugin_name)."
-    })
-    .action(wrapErrors(async (publisher, pluginName, npmPackageName = "", cmd) => {
-        if (npmPackageName && !validateNpmPackageName(npmPackageName).validForNewPackages) {
-            throw new UserError(`Invalid npm package name "${npmPackageName}"`);
-        }
-        validatePublisherName(publisher);
-        validatePluginName(pluginName);
-
-        process.stdout.write(`\n> Rename target plugin to "${publisher}/${pluginName}":\n\n`);
-        renamePlugin(npmPackageName, publisher, pluginName, process.cwd());
-        process.stdout.write("Done.\n");
-    }));
-
-program.on("command:*", () => {
-    program.outputHelp();
-    process.exit(1);
-});
-
-program.parse(process.argv);
-
-if (process.argv.length < 3) {
-    program.help();
-}
-
-function createBoilerplate(
-    /** @type string */ npmPackageName,
-    /** @type string */ publisher,
-    /** @type string */ pluginName,
-    /** @type boolean */ jsMode,
-    /** @type string */ targetPath
+            urlPath = decodeURIComponent((req.url || "/").split("?")[0]);
+        } catch (e) {
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+
+        if (urlPath === devServerEventsPath) {
+            res.writeHead(200, {
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache",
+                "Connection": "keep-alive"
+            });
+            res.write("\n");
+            clients.push(res);
+            req.on("close", () => clients.splice(clients.indexOf(res), 1));
+            return;
+        }
+
+        let filePath = path.join(rootDir, path.normalize(urlPath));
+        if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            filePath = path.join(filePath, "index.html");
+        }
+        if (!fs.existsSync(filePath)) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        let ext = path.extname(filePath).toLowerCase();
+        res.writeHead(200, {
+            "Content-Type": devServerMimeTypes[ext] || "application/octet-stream",
+            "Cache-Control": "no-cache"
+        });
+        if (ext === ".html") {
+            let html = fs.readFileSync(filePath, { encoding: "utf-8" });
+            res.end(html.match(/<\/body>/i) ?
+                html.replace(/<\/body>/i, devServerReloadScript + "</body>") :
+                html + devServerReloadScript);
+        } else {
+            fs.createReadStream(filePath).pipe(res);
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once("error", e => {
+            let code = /** @type any */(e).code;
+            reject(code === "EADDRINUSE" ? new UserError(`Port ${port} is already in use.`, "ECONFLICT") :
+                code === "EADDRNOTAVAIL" || code === "ENOTFOUND" ?
+                    new UserError(`Can't serve on host "${host}". It's not an address of this machine.`) :
+                    e);
+        });
+        server.listen(port, host, () => resolve());
+    });
+    ctx.logger.info(`Serving "${rootDir}" at http://${host.indexOf(":") !== -1 ? `[${host}]` : host}:${port}/`);
+
+    return {
+        notifyReload(/** @type string */ pluginId) {
+            ctx.logger.info(`Plugin "${pluginId}" was rebuilt. Reloading...`);
+            for (let client of clients) {
+                client.write(`event: reload\ndata: ${JSON.stringify({ plugin: pluginId })}\n\n`);
+            }
+        },
+        close() {
+            clients.forEach(client => client.end());
+            server.close();
+        }
+    };
+}
+
+function isSymlink(/** @type string */ filePath) {
+    try {
+        return fs.lstatSync(filePath).isSymbolicLink();
+    } catch (e) {
+        return false;
+    }
+}
+
+function getPluginTargetPath(/** @type string */ targetDir, /** @type string */ publisher, /** @type string */ pluginName) {
+    return path.join(targetDir, publisher, pluginName);
+}
+
+/**
+ * Warns about the installed plugins that depend on a plugin that is about to be removed (only the given version, or
+ * all of them), unless one of its remaining versions still satisfies them. Dependencies that are already unsatisfied
+ * are not reported again.
+ */
+function warnDependentPlugins(
+    /** @type Context */ ctx,
+    /** @type string */ targetDir, /** @type string */ publisher, /** @type string */ pluginName,
+    /** @type {string | undefined} */ removedVersion = void 0
 ) {
-    let packageJsonPath = path.join(targetPath, "package.json");
-    let webpackConfigPath = path.join(targetPath, "webpack.config.js");
+    let id = `${publisher}/${pluginName}`;
+    let uri = `plugin://${id}`;
+    let installed = readInstalledPlugins(targetDir);
+    let installs = installed.filter(i => `${i.publisher}/${i.pluginName}` === id);
+    let removedInstalls = installs.filter(i => removedVersion === void 0 || i.version === removedVersion);
+    let remainingVersions = installs.filter(i => removedInstalls.indexOf(i) === -1 && i.version)
+        .map(i => /** @type string */(i.version));
 
-    if (fs.readdirSync(targetPath).filter(f => !f.match(/^\./)).length) {
-        throw new UserError(`Can't create boilerplate in a non-empty folder.`);
+    for (let dependent of installed.filter(i => `${i.publisher}/${i.pluginName}` !== id)) {
+        let dependency = dependent.pluginDependencies[uri] && parseDependencyRange(dependent.pluginDependencies[uri]);
+        if (!dependency) {
+            continue;
+        }
+        let { range } = dependency;
+        // Versions of linked and old flat installs may be unknown
+        let isSatisfied = removedInstalls.some(i => !i.version || semver.satisfies(i.version, range));
+        if (isSatisfied && !remainingVersions.some(version => semver.satisfies(version, range))) {
+            let dependentId = `${dependent.publisher}/${dependent.pluginName}` +
+                (dependent.version ? `@${dependent.version}` : "");
+            ctx.logger.warn(`Plugin "${dependentId}" depends on "${uri}" ${range}, which will no longer be installed.`);
+        }
+    }
+}
+
+/**
+ * Walks the <publisher>/<plugin>/<version> layout produced by installPlugin/linkPlugin
+ */
+function listPlugins(/** @type string */ targetDir) {
+    /** @type {{ publisher: string; pluginName: string; type: "versioned" | "flat" | "link"; versions: string[]; linkTarget?: string; path: string }[]} */
+    let plugins = [];
+
+    if (!fs.existsSync(targetDir)) {
+        return plugins;
+    }
+
+    for (let publisher of readSubDirs(targetDir)) {
+        let publisherPath = path.join(targetDir, publisher);
+        if (fs.lstatSync(publisherPath).isSymbolicLink()) {
+            continue;
+        }
+
+        for (let pluginName of readSubDirs(publisherPath)) {
+            let pluginPath = getPluginTargetPath(targetDir, publisher, pluginName);
+
+            if (fs.lstatSync(pluginPath).isSymbolicLink()) {
+                plugins.push({
+                    publisher, pluginName, type: "link", versions: [],
+                    linkTarget: path.resolve(publisherPath, fs.readlinkSync(pluginPath)), path: pluginPath
+                });
+            } else if (fs.existsSync(path.join(pluginPath, "index.js"))) {
+                plugins.push({ publisher, pluginName, type: "flat", versions: [], path: pluginPath });
+            } else {
+                let versions = readSubDirs(pluginPath)
+                    .filter(version => fs.existsSync(path.join(pluginPath, version, "index.js")))
+                    .sort(compareVersions);
+                if (versions.length) {
+                    plugins.push({ publisher, pluginName, type: "versioned", versions, path: pluginPath });
+                }
+            }
+        }
+    }
+
+    return plugins;
+}
+
+/**
+ * @typedef {{
+ *  publisher: string; pluginName: string; type: "versioned" | "flat" | "link"; version?: string; path: string;
+ *  broken: boolean;
+ * }} PluginInstall
+ */
+
+/**
+ * Lists every install folder in the target folder, i.e. the folders holding a plugin index.js or an install record,
+ * and the plugin links. Unlike listPlugins, it includes the broken installs whose index.js is missing.
+ */
+function listPluginInstalls(/** @type string */ targetDir) {
+    /** @type PluginInstall[] */
+    let installs = [];
+
+    if (!fs.existsSync(targetDir)) {
+        return installs;
+    }
+
+    let isInstall = (/** @type string */ dir) =>
+        fs.existsSync(path.join(dir, "index.js")) || fs.existsSync(path.join(dir, installMetadataFileName));
+    let isBroken = (/** @type string */ dir) => !fs.existsSync(path.join(dir, "index.js"));
+
+    for (let publisher of readSubDirs(targetDir)) {
+        let publisherPath = path.join(targetDir, publisher);
+        if (fs.lstatSync(publisherPath).isSymbolicLink()) {
+            continue;
+        }
+
+        for (let pluginName of readSubDirs(publisherPath)) {
+            let pluginPath = getPluginTargetPath(targetDir, publisher, pluginName);
+
+            if (fs.lstatSync(pluginPath).isSymbolicLink()) {
+                installs.push({ publisher, pluginName, type: "link", path: pluginPath, broken: false });
+            } else if (isInstall(pluginPath)) {
+                installs.push({ publisher, pluginName, type: "flat", path: pluginPath, broken: isBroken(pluginPath) });
+            } else {
+                let versions = readSubDirs(pluginPath)
+                    .filter(version => isInstall(path.join(pluginPath, version)))
+                    .sort(compareVersions);
+                for (let version of versions) {
+                    let installPath = path.join(pluginPath, version);
+                    installs.push({
+                        publisher, pluginName, type: "versioned", version, path: installPath,
+                        broken: isBroken(installPath)
+                    });
+                }
+            }
+        }
+    }
+
+    return installs;
+}
+
+function readSubDirs(/** @type string */ dir) {
+    return fs.readdirSync(dir)
+        .filter(f => !f.match(/^\./))
+        .filter(f => {
+            let stat = fs.lstatSync(path.join(dir, f));
+            return stat.isDirectory() || stat.isSymbolicLink();
+        })
+        .sort();
+}
+
+/**
+ * @typedef {{
+ *  uri: string; publisher: string; pluginName: string; type: "versioned" | "flat" | "link";
+ *  versions: PluginIndexVersion[];
+ * }} PluginIndexEntry
+ *
+ * @typedef {{
+ *  version?: string; main: string; locales?: string[]; manifest?: Object.<string, any>
+ * }} PluginIndexVersion
+ */
+
+/**
+ * Regenerates the plugin index at the root of the target folder and, if requested, the host config fragment that
+ * enables the installed plugins
+ */
+function writePluginIndex(/** @type Context */ ctx, /** @type string */ targetDir) {
+    if (!fs.existsSync(targetDir)) {
+        return;
+    }
+
+    let plugins = buildPluginIndex(ctx, targetDir);
+    let indexPath = path.join(targetDir, pluginIndexFileName);
+    fsAction(ctx, `write "${indexPath}"`, () => fs.writeFileSync(
+        indexPath,
+        JSON.stringify({ plugins }, void 0, " ".repeat(2)) + "\n"
+    ));
+    ctx.logger.info(ctx.dryRun ?
+        `[dry-run] Plugin index "${indexPath}" would be updated.` : `Updated plugin index "${indexPath}".`);
+
+    let hostConfigPath = ctx.hostConfigPath;
+    if (hostConfigPath) {
+        let hostConfig = {
+            // Flat and linked plugins are loaded without a version, from <publisher>/<plugin_name>/index.js
+            plugins: plugins.map(({ uri, type, versions }) => type === "versioned" ?
+                { uri: `${uri}?v=${getLatestVersion(versions.map(v => /** @type string */(v.version)))}` } :
+                { uri })
+        };
+        fsAction(ctx, `write "${hostConfigPath}"`, () => fs.outputFileSync(
+            hostConfigPath,
+            JSON.stringify(hostConfig, void 0, " ".repeat(2)) + "\n"
+        ));
+        ctx.logger.info(ctx.dryRun ?
+            `[dry-run] Host config "${hostConfigPath}" would be updated.` : `Updated host config "${hostConfigPath}".`);
+    }
+
+    emitEvent(ctx, { type: "indexed", path: indexPath, hostConfigPath, plugins: plugins.length });
+}
+
+/**
+ * Describes every plugin in the target folder, with the entry point, locales and runtime manifest of each version.
+ * Dangling links are left out.
+ */
+function buildPluginIndex(/** @type Context */ ctx, /** @type string */ targetDir) {
+    /** @type PluginIndexEntry[] */
+    let entries = [];
+    for (let { publisher, pluginName, type, versions, linkTarget, path: pluginPath } of listPlugins(targetDir)) {
+        let installPaths = type === "versioned" ? versions.map(version => path.join(pluginPath, version)) :
+            type === "link" && linkTarget && !fs.existsSync(path.join(linkTarget, "index.js")) ? [] :
+            [pluginPath];
+        if (!installPaths.length) {
+            continue;
+        }
+
+        entries.push({
+            uri: `plugin://${publisher}/${pluginName}`,
+            publisher,
+            pluginName,
+            type,
+            versions: installPaths.map(installPath => {
+                let metadataPath = path.join(installPath, installMetadataFileName);
+                /** @type {InstallMetadata | undefined} */
+                let metadata = fs.existsSync(metadataPath) ?
+                    fs.readJsonSync(metadataPath, { encoding: "utf-8" }) : void 0;
+                let manifest = metadata ? metadata.manifest :
+                    linkTarget ? readLinkedPluginManifest(ctx, linkTarget) : void 0;
+                let mainJsPath = path.join(installPath, "index.js");
+
+                return {
+                    version: type === "versioned" ? path.basename(installPath) :
+                        metadata ? metadata.version : manifest && manifest.version,
+                    main: path.relative(targetDir, mainJsPath).split(path.sep).join("/"),
+                    locales: getBundleLocales(fs.readFileSync(mainJsPath, "utf-8")),
+                    manifest
+                };
+            })
+        });
     }
+    return entries;
+}
+
+/**
+ * @typedef {{
+ *  publisher: string; pluginName: string; version?: string; spec?: string; pluginDependencies: Object.<string, string>
+ * }} InstalledPlugin
+ */
+
+/**
+ * Lists every plugin installation in the target folder (one entry per installed version), with the source spec and
+ * plugin dependencies recorded at install time. Linked plugins are read from their package.json.
+ */
+function readInstalledPlugins(/** @type string */ targetDir) {
+    /** @type InstalledPlugin[] */
+    let installs = [];
+    for (let { publisher, pluginName, type, versions, linkTarget, path: pluginPath } of listPlugins(targetDir)) {
+        if (type === "link") {
+            let packageJsonPath = linkTarget && findPackageJson(linkTarget);
+            /** @type {Object.<string, any>} */
+            let packageJson = packageJsonPath ? fs.readJsonSync(packageJsonPath, { encoding: "utf-8" }) : {};
+            installs.push({
+                publisher, pluginName, version: packageJson.version,
+                pluginDependencies: packageJson.pluginDependencies || {}
+            });
+            continue;
+        }
+
+        let installPaths = type === "versioned" ? versions.map(version => path.join(pluginPath, version)) : [pluginPath];
+        for (let installPath of installPaths) {
+            let metadataPath = path.join(installPath, installMetadataFileName);
+            /** @type {InstallMetadata | undefined} */
+            let metadata = fs.existsSync(metadataPath) ? fs.readJsonSync(metadataPath, { encoding: "utf-8" }) : void 0;
+            installs.push({
+                publisher, pluginName,
+                version: type === "versioned" ? path.basename(installPath) : metadata && metadata.version,
+                spec: metadata && metadata.spec,
+                pluginDependencies: metadata && metadata.pluginDependencies || {}
+            });
+        }
+    }
+    return installs;
+}
+
+/**
+ * Finds the package.json of the package containing the given folder (e.g. the dist folder of a linked plugin)
+ */
+function findPackageJson(/** @type string */ dir) {
+    for (; path.dirname(dir) !== dir; dir = path.dirname(dir)) {
+        if (fs.existsSync(path.join(dir, "package.json"))) {
+            return path.join(dir, "package.json");
+        }
+    }
+    return void 0;
+}
+
+/**
+ * Generates the runtime manifest of a linked plugin from the package.json above its dist folder
+ */
+function readLinkedPluginManifest(/** @type Context */ ctx, /** @type string */ linkTarget) {
+    let packageJsonPath = findPackageJson(linkTarget);
+    if (!packageJsonPath) {
+        return void 0;
+    }
+    try {
+        return generatePluginManifest(ctx, path.dirname(packageJsonPath));
+    } catch (e) {
+        return void 0;
+    }
+}
 
-    fs.copySync(path.join(__dirname, "boilerplate", jsMode ? "js" : "ts"), targetPath);
+/** Prints the manifest generated by the plugin-api package of the plugin in the current folder */
+let manifestGeneratorScript = `
+    let generatorPath = require.resolve("plugin-api/build/generateManifest", { paths: [process.cwd()] });
+    let packageJson = require(require("path").resolve("package.json"));
+    process.stdout.write(JSON.stringify(require(generatorPath).generateManifest(packageJson)));
+`;
 
-    fs.renameSync(path.join(targetPath, "npmignore.tpl"), path.join(targetPath, ".npmignore"));
+/**
+ * Generates the runtime manifest that the plugin bundles (__plugin_manifest__). Uses generateManifest from the
+ * plugin's own plugin-api dependency when it's installed (e.g. the plugin was built from source), otherwise falls
+ * back to the plugin identity from package.json. That is plugin code, so it runs in a child process with the
+ * environment of the plugin build.
+ */
+function generatePluginManifest(
+    /** @type Context */ ctx, /** @type string */ pluginPath, /** @type BuildOptions */ buildOptions = {}
+) {
+    let getIdentity = () => {
+        let { publisher, pluginName, version } = readPluginManifest(pluginPath);
+        return { publisher, pluginName, version };
+    };
+    try {
+        require.resolve("plugin-api/build/generateManifest", { paths: [pluginPath] });
+    } catch (e) {
+        return getIdentity();
+    }
 
-    if (!fs.existsSync(path.join(targetPath, ".gitignore"))) {
-        fs.copySync(
-            path.join(__dirname, "boilerplate", "git", "gitignore.tpl"),
-            path.join(targetPath, ".gitignore")
-        );
+    let child = child_process.spawnSync(process.execPath, ["-e", manifestGeneratorScript], {
+        cwd: pluginPath,
+        env: getBuildEnv(ctx, buildOptions),
+        encoding: "utf-8",
+        timeout: manifestGeneratorTimeout
+    });
+    /** @type {Object.<string, any> | undefined} */
+    let manifest;
+    try {
+        manifest = child.status === 0 ? JSON.parse(child.stdout) : void 0;
+    } catch (e) {
+        manifest = void 0;
     }
+    if (!manifest || typeof manifest !== "object") {
+        let reason = child.error ? child.error.message :
+            child.status !== 0 ? (child.stderr.split("\n").find(line => /^\w*Error\b/.test(line)) ||
+                `exit code ${child.status}`) :
+            "invalid output";
+        ctx.logger.warn(`Couldn't generate the runtime manifest of "${pluginPath}" with its plugin-api package ` +
+            `(${reason}). Using the plugin identity from package.json instead.`);
+        return getIdentity();
+    }
+    return manifest;
+}
 
-    patchPluginFiles(packageJsonPath, webpackConfigPath, npmPackageName, publisher, pluginName);
+/**
+ * Extracts the locales returned by getAvailableLocales() from a built (possibly minified) plugin bundle
+ */
+function getBundleLocales(/** @type string */ bundleSource) {
+    let match = bundleSource.match(bundleLocalesRegex);
+    if (!match) {
+        return void 0;
+    }
+    return (match[1].match(/["'][^"']*["']/g) || []).map(literal => literal.slice(1, -1));
+}
 
-    process.stdout.write(`Created boilerplate in working directory.\n`);
+/** Matches method shorthand, as well as "getAvailableLocales: function() {" and ES5 prototype assignments */
+let bundleLocalesRegex = /getAvailableLocales\s*(?:[:=]\s*function\s*)?\([^)]*\)\s*{\s*return\s*\[([^\]]*)\]/;
 
-    let npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
-    process.stdout.write(`Running npm install...\n`);
-    child_process.spawnSync(npmCmd, ["install"], { cwd: targetPath, stdio: "inherit" });
+/**
+ * Sort comparator for version folder names, oldest first. Folders that aren't valid versions sort before the valid
+ * ones, in string order.
+ */
+function compareVersions(/** @type string */ a, /** @type string */ b) {
+    return semver.valid(a) && semver.valid(b) ? semver.compare(a, b) :
+        semver.valid(a) ? 1 : semver.valid(b) ? -1 : a.localeCompare(b);
 }
 
-async function renamePlugin(
-    /** @type string */ npmPackageName,
-    /** @type string */ publisher,
-    /** @type string */ pluginName,
-    /** @type string */ targetPath
-) {
-    let packageJsonPath = path.join(targetPath, "package.json");
-    let webpackConfigPath = path.join(targetPath, "webpack.config.js");
+/**
+ * Returns the newest of the given versions, by semver if possible
+ */
+function getLatestVersion(/** @type string[] */ versions) {
+    let validVersions = versions.filter(v => semver.valid(v));
+    return validVersions.length ? semver.maxSatisfying(validVersions, "*", { includePrerelease: true }) :
+        versions[versions.length - 1];
+}
 
-    if (!fs.existsSync(packageJsonPath) || !fs.existsSync(webpackConfigPath)) {
-        throw new UserError(`Couldn't find a valid plugin in "${targetPath}"`);
+/**
+ * Resolves an installed plugin selector (publisher/plugin_name[@version_or_range], with optional * and ? wildcards)
+ * to the matching installations in the target folder, without fetching anything. Returns undefined if the argument is
+ * not a selector, in which case it should be treated as a package spec. A selector without wildcards must match an
+ * installed plugin. GitHub handles look like selectors too, so they need an explicit "github:" prefix.
+ */
+function resolveInstalledPlugins(/** @type string */ targetDir, /** @type string */ selector, allVersions = false) {
+    let match = selector.match(/^([^@/\s]+)\/([^@/\s]+)(?:@(.+))?$/);
+    if (!match) {
+        return void 0;
+    }
+    let [, publisherPattern, pluginNamePattern, versionRange] = match;
+    if (versionRange !== void 0 && !semver.validRange(versionRange)) {
+        throw new UserError(`Invalid version or version range "${versionRange}" in "${selector}".`);
     }
 
-    patchPluginFiles(packageJsonPath, webpackConfigPath, npmPackageName, publisher, pluginName);
+    let isGlob = /[*?]/.test(publisherPattern + pluginNamePattern);
+    let toRegExp = (/** @type string */ pattern) => new RegExp("^" + pattern
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".") + "$");
+    let publisherRegExp = toRegExp(publisherPattern);
+    let pluginNameRegExp = toRegExp(pluginNamePattern);
 
-    process.stdout.write(`Updated "package.json" and "webpack.config.js".\n`);
+    let plugins = listPlugins(targetDir)
+        .filter(p => publisherRegExp.test(p.publisher) && pluginNameRegExp.test(p.pluginName));
+    if (!plugins.length && !isGlob) {
+        throw new UserError(`Plugin "${publisherPattern}/${pluginNamePattern}" is not installed in "${targetDir}". ` +
+            `To uninstall a plugin from a GitHub repository, use "github:${publisherPattern}/${pluginNamePattern}".`);
+    }
 
-    let npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
-    process.stdout.write(`Running npm install...\n`);
-    child_process.spawnSync(npmCmd, ["install"], { cwd: targetPath, stdio: "inherit" });
+    /** @type {{ publisher: string; pluginName: string; version: string; allVersions: boolean }[]} */
+    let installs = [];
+    for (let { publisher, pluginName, type, versions, path: pluginPath } of plugins) {
+        if (type !== "versioned") {
+            // Linked and dev installs hold a single copy of the plugin, whose version we only know for dev installs
+            let metadataPath = path.join(pluginPath, installMetadataFileName);
+            let version = type === "flat" && fs.existsSync(metadataPath) ?
+                /** @type InstallMetadata */(fs.readJsonSync(metadataPath, { encoding: "utf-8" })).version : "";
+            if (versionRange === void 0 || (version && semver.satisfies(version, versionRange))) {
+                installs.push({ publisher, pluginName, version, allVersions: true });
+            }
+        } else if (versionRange !== void 0) {
+            versions
+                .filter(version => semver.valid(version) && semver.satisfies(version, versionRange))
+                .forEach(version => installs.push({ publisher, pluginName, version, allVersions: false }));
+        } else if (allVersions || versions.length === 1) {
+            installs.push({ publisher, pluginName, version: versions[versions.length - 1], allVersions: true });
+        } else {
+            throw new UserError(`Plugin "${publisher}/${pluginName}" has multiple versions installed ` +
+                `(${versions.join(", ")}). Select one (e.g. "${publisher}/${pluginName}@${versions[0]}") ` +
+                `or remove all of them with --all.`);
+        }
+    }
+
+    return installs;
 }
 
-async function patchPluginFiles(
-    /** @type string */packageJsonPath,
-    /** @type string */webpackConfigPath,
-    /** @type string */npmPackageName,
-    /** @type string */publisher,
-    /** @type string */pluginName
-) {
-    let packageJson = JSON.parse(fs.readFileSync(packageJsonPath, { encoding: "utf-8" }));
+/**
+ * Reads the plugin versions used by the host app, as "publisher/plugin_name@version" strings. The file is either an
+ * acp lockfile or any config (e.g. the CMS config.json) that references plugins by URI (plugin://publisher/name?v=1.0.0)
+ */
+function readReferencedVersions(/** @type string */ filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new UserError(`Couldn't find "${filePath}".`);
+    }
+    let contents = fs.readFileSync(filePath, { encoding: "utf-8" });
 
-    if (npmPackageName && packageJson.name === void 0) {
-        // Ensure name is added at the top
-        packageJson = { name: npmPackageName, ...packageJson };
-    } else {
-        // if npmPackageName is not set, omit "name" field entirely
-        packageJson.name = npmPackageName || void 0;
+    /** @type {Lockfile | undefined} */
+    let lockfile;
+    try {
+        lockfile = JSON.parse(contents);
+    } catch (e) {
+        // Not JSON, so not a lockfile either
+    }
+    if (lockfile && lockfile.lockfileVersion && lockfile.plugins) {
+        let lockedPlugins = lockfile.plugins;
+        return Object.keys(lockedPlugins).map(spec => lockedPlugins[spec])
+            .map(({ publisher, pluginName, version }) => `${publisher}/${pluginName}@${version}`);
     }
 
-    packageJson.publisher = publisher;
-    packageJson.pluginName = pluginName;
+    let references = [];
+    let uriRegex = /plugin:\/\/([^/\s"'?]+)\/([^/\s"'?]+)\?v=([^\s"'&#]+)/g;
+    for (let match = uriRegex.exec(contents); match; match = uriRegex.exec(contents)) {
+        references.push(`${match[1]}/${match[2]}@${match[3]}`);
+    }
+    return references;
+}
 
-    if (packageJson.author === "<publisher>") {
-        packageJson.author = publisher;
+/**
+ * Total size of the files in a folder, without following symlinks
+ */
+function getDiskUsage(/** @type string */ filePath) {
+    let stat = fs.lstatSync(filePath);
+    if (!stat.isDirectory()) {
+        return stat.size;
     }
+    return fs.readdirSync(filePath).reduce((total, f) => total + getDiskUsage(path.join(filePath, f)), 0);
+}
 
-    fs.writeFileSync(
-        packageJsonPath,
-        JSON.stringify(packageJson, void 0, " ".repeat(2))
-    );
+/**
+ * @typedef {{
+ *  publisher: string; pluginName: string; version: string; spec: string; resolved: string; integrity?: string;
+ *  manifest?: Object.<string, any>; pluginDependencies?: Object.<string, string>; files: Object.<string, string>
+ * }} InstallMetadata
+ */
 
-    // HACK: this is a copy paste from @alethio/cms package
-    let pluginLibraryName = "__" + (publisher + "/" + pluginName)
-        .replace(/\./g, "_")
-        .replace(/\//g, "__")
-        .replace(/-([a-z])/gi, (match, capture) => capture.toUpperCase());
+/**
+ * Records where the plugin came from, together with a SHA-256 checksum of every installed file
+ */
+function writeInstallMetadata(
+    /** @type string */ installPath,
+    /** @type {Pick<InstallMetadata, Exclude<keyof InstallMetadata, "files">>} */ source
+) {
+    /** @type InstallMetadata */
+    let metadata = { ...source, files: {} };
+    for (let file of listFilesRecursive(installPath)) {
+        metadata.files[file] = hashFile(path.join(installPath, file));
+    }
 
     fs.writeFileSync(
-        webpackConfigPath,
-        fs.readFileSync(webpackConfigPath, { encoding: "utf-8" })
-            .replace(/(output:\s+{[\s\S]*library:\s*)"([^"]+)"/g, `$1"${pluginLibraryName}"`)
+        path.join(installPath, installMetadataFileName),
+        JSON.stringify(metadata, void 0, " ".repeat(2)) + "\n"
     );
 }
 
-async function installPlugin(
-    /** @type string */ targetDir, /** @type string */ npmPackageSpec, /** @type string */ tmpDir,
-    devMode = false
-) {
-    let pacoteCacheDir = path.join(tmpDir, "pacote-cache");
-    let pluginTmpPath = await extractPlugin(npmPackageSpec, tmpDir, pacoteCacheDir);
+/**
+ * Re-hashes the files of an installed plugin and returns the list of mismatches, if any
+ */
+function verifyInstall(/** @type string */ installPath) {
+    let metadataPath = path.join(installPath, installMetadataFileName);
+    if (!fs.existsSync(metadataPath)) {
+        return [`No install metadata found at "${metadataPath}"`];
+    }
 
-    let {
-        name, publisher, distDir, mainJsFilename, pluginName, version, hasPrepareScript, hasBuildScript
-    } = readPluginManifest(pluginTmpPath);
+    /** @type InstallMetadata */
+    let metadata = fs.readJsonSync(metadataPath, { encoding: "utf-8" });
+    let problems = [];
 
-    process.stdout.write(`Resolved plugin spec (plugin: "${publisher}/${pluginName}", version: ${version}, npm: "${name}").\n`);
+    let diskFiles = listFilesRecursive(installPath);
+    for (let file of Object.keys(metadata.files)) {
+        if (diskFiles.indexOf(file) === -1) {
+            problems.push(`Missing file "${file}"`);
+        } else if (hashFile(path.join(installPath, file)) !== metadata.files[file]) {
+            problems.push(`Modified file "${file}"`);
+        }
+    }
+    for (let file of diskFiles) {
+        if (!metadata.files[file]) {
+            problems.push(`Unexpected file "${file}"`);
+        }
+    }
 
-    let mainJsPath = path.join(pluginTmpPath, distDir, mainJsFilename);
-    if (!fs.existsSync(mainJsPath)) {
-        // We might be installing from git; attempt to build the plugin first
-        process.stdout.write(`WARNING: No main JS file found in plugin package at ` +
-            `"${path.join(distDir, mainJsFilename)}". ` +
-            `Building the plugin from source...\n`);
+    return problems;
+}
 
-        let npmCmd = process.platform === 'win32' ? 'npm.cmd' : 'npm';
-        process.stdout.write(`Running npm install...\n`);
-        child_process.spawnSync(npmCmd, ["install"], { cwd: pluginTmpPath, stdio: "inherit" });
-        process.stdout.write(`\n`);
-        if (!hasPrepareScript && hasBuildScript) {
-            process.stdout.write(`Plugin doesn't seem to have a "prepare" script. Doing "npm run build" instead...\n`);
-            child_process.spawnSync(npmCmd, ["run", "build"], { cwd: pluginTmpPath, stdio: "inherit" });
-            process.stdout.write(`\n`);
-        }
+/**
+ * Lints a plugin project and returns every problem found. Checks that can't be performed statically are reported
+ * as warnings instead.
+ */
+function validatePlugin(/** @type Context */ ctx, /** @type string */ pluginPath) {
+    let packageJsonPath = path.join(pluginPath, "package.json");
+    if (!fs.existsSync(packageJsonPath)) {
+        return [`No package.json manifest found at local path "${packageJsonPath}"`];
+    }
 
-        if (!fs.existsSync(mainJsPath)) {
-            throw new UserError(`Couldn't resolve plugin main JS file at "${mainJsPath}"`);
-        }
+    let packageJson = fs.readJsonSync(packageJsonPath, { encoding: "utf-8" });
+    let problems = getManifestProblems(packageJson);
+    let { publisher, scripts = {} } = packageJson;
+    let pluginName = packageJson.pluginName || packageJson.name;
+
+    if (publisher) {
+        collectProblems(problems, () => validatePublisherName(publisher));
+    }
+    if (!scripts.prepare && !scripts.build) {
+        problems.push(`Missing "prepare" or "build" script in package.json. The plugin can't be built on install.`);
     }
 
-    let pluginSrcDistPath = path.join(pluginTmpPath, distDir);
-    let pluginTargetBasePath = getPluginTargetPath(targetDir, publisher, pluginName);
-    let pluginTargetPath = devMode ? pluginTargetBasePath : path.join(pluginTargetBasePath, version);
+    let webpackConfigPath = path.join(pluginPath, "webpack.config.js");
+    if (!fs.existsSync(webpackConfigPath)) {
+        problems.push(`No webpack configuration found at "${webpackConfigPath}".`);
+    } else {
+        /** @type LibraryDefinition[] */
+        let libraryDefinitions = [];
+        collectProblems(problems, () => {
+            libraryDefinitions = findWebpackLibraryDefinitions(webpackConfigPath);
+            if (!libraryDefinitions.length) {
+                throw new UserError(`Couldn't find the webpack "output.library" setting in "${webpackConfigPath}".`);
+            }
+        });
+        for (let { file, line, value } of libraryDefinitions) {
+            if (publisher && pluginName && value !== getPluginLibraryName(publisher, pluginName)) {
+                problems.push(`Webpack "output.library" is "${value}" (${path.relative(pluginPath, file)}:${line}), ` +
+                    `but the CMS expects "${getPluginLibraryName(publisher, pluginName)}". Run "acp rename" to fix it.`);
+            }
+        }
 
-    if (fs.existsSync(pluginTargetBasePath)) {
-        // We already have something installed/linked
-        if (fs.lstatSync(pluginTargetBasePath).isSymbolicLink()) {
-            // clean up from a previous link command
-            fs.removeSync(pluginTargetBasePath);
-        } else {
-            if (devMode || fs.existsSync(path.join(pluginTargetBasePath, "index.js"))) {
-                // Clear other installed versions if we're installing in dev mode, or we detected an old --dev installation
-                fs.emptyDirSync(pluginTargetBasePath);
-                fs.removeSync(pluginTargetBasePath);
+        collectProblems(problems, () => {
+            let libraryTargets = findWebpackLibraryTargets(webpackConfigPath);
+            if (!libraryTargets.length) {
+                problems.push(`Webpack "output.libraryTarget" (or "output.library.type") must be "jsonp".`);
+            }
+            for (let { file, line, value } of libraryTargets) {
+                let location = `${path.relative(pluginPath, file)}:${line}`;
+                if (value === void 0) {
+                    ctx.logger.warn(`Can't determine the webpack library target set at ${location}. ` +
+                        `Make sure it's "jsonp".`);
+                } else if (value !== "jsonp") {
+                    problems.push(`Webpack library target must be "jsonp" (found "${value}" at ${location}).`);
+                }
             }
+        });
+
+        collectProblems(problems, () => {
+            let externals = findWebpackExternals(webpackConfigPath);
+            // Shared libraries are required by name, plugin-api by module path (e.g. "plugin-api/withTranslation")
+            let checks = [
+                { moduleName: "react", request: "react", label: `"react"` },
+                { moduleName: "mobx", request: "mobx", label: `"mobx"` },
+                { moduleName: "plugin-api", request: "plugin-api/module", label: `"plugin-api/*" modules` }
+            ];
+            for (let { moduleName, request, label } of checks) {
+                let isExternal =
+                    externals.names.some(name => name === request || name.indexOf(moduleName + "/") === 0) ||
+                    externals.patterns.some(pattern => pattern.test(request)) ||
+                    // Externals functions usually compare the request with a string or a regex
+                    externals.functions.some(source => source.indexOf(moduleName) !== -1);
+                if (isExternal) {
+                    continue;
+                }
+                if (externals.unresolved) {
+                    ctx.logger.warn(`Can't determine all the webpack externals. Make sure they include ${label}.`);
+                } else {
+                    problems.push(`Webpack "externals" don't include ${label}.` + (moduleName !== "plugin-api" ?
+                        ` The plugin would bundle its own copy instead of sharing the one from the CMS.` : ""));
+                }
+            }
+        });
+    }
+
+    let entryPath = findPluginEntry(pluginPath);
+    let locales = entryPath && getDeclaredLocales(fs.readFileSync(entryPath, { encoding: "utf-8" }));
+    if (!locales) {
+        ctx.logger.warn(`Couldn't determine the locales returned by "getAvailableLocales". ` +
+            `Skipping translation files check.`);
+    } else {
+        let translationDir = path.join(pluginPath, "src", "translation");
+        let translationLocales = fs.existsSync(translationDir) ?
+            fs.readdirSync(translationDir).filter(f => f.match(/\.json$/)).map(f => f.replace(/\.json$/, "")) :
+            [];
+        for (let locale of locales.filter(l => translationLocales.indexOf(l) === -1)) {
+            problems.push(`Locale "${locale}" is returned by "getAvailableLocales", ` +
+                `but "src/translation/${locale}.json" is missing.`);
+        }
+        for (let locale of translationLocales.filter(l => locales.indexOf(l) === -1)) {
+            problems.push(`"src/translation/${locale}.json" exists, ` +
+                `but locale "${locale}" is not returned by "getAvailableLocales".`);
         }
     }
 
-    process.stdout.write(`Copying plugin distributables to target directory...\n`);
-    fs.copySync(pluginSrcDistPath, pluginTargetPath);
+    return problems;
+}
 
-    if (mainJsFilename !== "index.js") {
-        fs.renameSync(path.join(pluginTargetPath, mainJsFilename), path.join(pluginTargetPath, "index.js"));
-        if (fs.existsSync(path.join(pluginTargetPath, mainJsFilename + ".map"))) {
-            fs.renameSync(
-                path.join(pluginTargetPath, mainJsFilename + ".map"),
-                path.join(pluginTargetPath, "index.js.map")
-            );
-        }
+/**
+ * @typedef {{ file: string; size: number; gzipSize: number }} ChunkInfo
+ */
+
+/**
+ * Checks the built bundle of a plugin (main JS file and lazy-loaded chunks) for problems that would break it at
+ * runtime in the CMS and measures its chunks
+ */
+function inspectBundle(/** @type string */ pluginPath, /** @type {number | undefined} */ maxChunkSize) {
+    let { publisher, pluginName, distDir, mainJsFilename } = readPluginManifest(pluginPath);
+    let distPath = path.join(pluginPath, distDir);
+    let mainJsPath = path.join(distPath, mainJsFilename);
+    if (!fs.existsSync(mainJsPath)) {
+        throw new UserError(`No main JS file found at "${mainJsPath}". Build the plugin first.`, "EMANIFEST");
     }
 
-    await fs.emptyDir(pacoteCacheDir);
-    await fs.rmdir(pacoteCacheDir);
+    let libraryName = getPluginLibraryName(publisher, pluginName);
+    /** @type string[] */
+    let problems = [];
+    /** @type ChunkInfo[] */
+    let chunks = [];
 
-    process.stdout.write(`\nSuccessfully installed plugin "${publisher}/${pluginName}" to "${pluginTargetPath}".\n`);
-}
+    let files = [mainJsFilename].concat(fs.readdirSync(distPath)
+        .filter(file => file !== mainJsFilename && file.match(/\.js$/))
+        .sort());
+    for (let file of files) {
+        let contents = fs.readFileSync(path.join(distPath, file));
+        let source = contents.toString("utf-8");
+        let chunk = { file, size: contents.length, gzipSize: zlib.gzipSync(contents).length };
+        chunks.push(chunk);
 
+        if (file === mainJsFilename) {
+            // Comments and whitespace may precede the JSONP callback
+            let wrapperMatch = source.match(/^\s*(?:(?:\/\*[\s\S]*?\*\/|\/\/.*)\s*)*([\w$]+)\s*\(/);
+            if (!wrapperMatch) {
+                problems.push(`"${file}" is not wrapped in a JSONP callback. Webpack "output.libraryTarget" must be "jsonp".`);
+            } else if (wrapperMatch[1] !== libraryName) {
+                problems.push(`"${file}" registers itself as "${wrapperMatch[1]}", but the CMS expects "${libraryName}". ` +
+                    `Run "acp rename" and rebuild the plugin.`);
+            }
+        } else if (source.indexOf(`webpackJsonp${libraryName}`) === -1) {
+            problems.push(`Chunk "${file}" doesn't use the "webpackJsonp${libraryName}" loader callback. ` +
+                `It may be a leftover from a previous build or collide with chunks of other plugins.`);
+        }
 
-async function uninstallPlugin(
-    /** @type string */ targetDir, /** @type string */ npmPackageSpec, /** @type string */ tmpDir,
-    allVersions = false
-) {
-    let pacoteCacheDir = path.join(tmpDir, "pacote-cache");
-    let pluginTmpPath = await extractPlugin(npmPackageSpec, tmpDir, pacoteCacheDir);
+        for (let library of Object.keys(sharedLibrarySignatures)) {
+            if (sharedLibrarySignatures[library].some(signature => signature.test(source))) {
+                problems.push(`"${file}" contains an inlined copy of "${library}". ` +
+                    `Declare it in the webpack "externals" to use the instance provided by the CMS.`);
+            }
+        }
 
-    let { name, publisher, pluginName, version } = readPluginManifest(pluginTmpPath);
+        if (maxChunkSize !== void 0 && chunk.size > maxChunkSize) {
+            problems.push(`"${file}" is ${formatSize(chunk.size)}, which exceeds the size budget ` +
+                `of ${formatSize(maxChunkSize)}.`);
+        }
+    }
 
-    process.stdout.write(`Resolved plugin spec (plugin: "${publisher}/${pluginName}", version: ${version}, npm: "${name}").\n`);
+    return { publisher, pluginName, libraryName, chunks, problems };
+}
 
-    let pluginTargetBasePath = getPluginTargetPath(targetDir, publisher, pluginName);
+function formatSize(/** @type number */ bytes) {
+    return bytes < 1024 ? `${bytes} B` :
+        bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} kB` :
+        `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
 
-    if (fs.existsSync(pluginTargetBasePath) && fs.lstatSync(pluginTargetBasePath).isSymbolicLink()) {
-        // Plugin was linked, just unlink
-        fs.removeSync(pluginTargetBasePath);
-        process.stdout.write(`\nUnlinked plugin "${publisher}/${pluginName}".\n`);
-    } else {
-        /** e.g. publisher/my-plugin/index.js */
-        let hasFlatInstall = fs.existsSync(path.join(pluginTargetBasePath, "index.js"));
-        /** e.g. publisher/my-plugin/1.0.0/ */
-        let versionedPluginPath = path.join(pluginTargetBasePath, version);
-        /** e.g. publisher/my-plugin/1.0.0/index.js */
-        let hasVersionedInstall = fs.existsSync(path.join(versionedPluginPath, "index.js"));
+/**
+ * Extracts the locales from a getAvailableLocales() implementation that returns an array literal
+ */
+function getDeclaredLocales(/** @type string */ pluginSource) {
+    let match = pluginSource.match(availableLocalesRegex);
+    if (!match) {
+        return void 0;
+    }
+    return (match[2].match(/["'][^"']*["']/g) || []).map(literal => literal.slice(1, -1));
+}
 
-        if (!fs.existsSync(pluginTargetBasePath) || (!hasFlatInstall && !hasVersionedInstall)) {
-            process.stderr.write(`Warning: No plugin installation found at "${pluginTargetBasePath}"\n`);
-        } else {
-            // Delete the entire plugin folder or the selected version, based on selection
-            let pluginInstallPath = allVersions || hasFlatInstall ? pluginTargetBasePath : versionedPluginPath;
-            await fs.emptyDir(pluginInstallPath);
-            await fs.rmdir(pluginInstallPath);
+let availableLocalesRegex = /(getAvailableLocales\s*\([^)]*\)[^{]*{\s*return\s*\[)([^\]]*)\]/;
 
-            // Clean-up plugin folder if empty
-            if (
-                hasVersionedInstall && fs.existsSync(pluginTargetBasePath) &&
-                !fs.readdirSync(pluginTargetBasePath).length
-            ) {
-                await fs.rmdir(pluginTargetBasePath);
-            }
+/**
+ * Returns the path of the plugin source entry point (src/plugin.*), if any
+ */
+function findPluginEntry(/** @type string */ pluginPath) {
+    return ["plugin.ts", "plugin.tsx", "plugin.js", "plugin.jsx"]
+        .map(file => path.join(pluginPath, "src", file))
+        .find(file => fs.existsSync(file));
+}
 
-            process.stdout.write(`\nUninstalled plugin "${publisher}/${pluginName}"` +
-                (allVersions || hasFlatInstall ? "" : ` (version: ${version})`) + ".\n");
+/**
+ * Lists the files under dir, relative to it and using "/" as separator. The install metadata file is not included.
+ */
+function listFilesRecursive(/** @type string */ dir, prefix = "") {
+    /** @type string[] */
+    let files = [];
+    for (let entry of fs.readdirSync(path.join(dir, prefix)).sort()) {
+        let relPath = prefix ? prefix + "/" + entry : entry;
+        if (relPath === installMetadataFileName) {
+            continue;
+        }
+        if (fs.statSync(path.join(dir, relPath)).isDirectory()) {
+            files.push(...listFilesRecursive(dir, relPath));
+        } else {
+            files.push(relPath);
         }
     }
+    return files;
+}
 
-    await fs.emptyDir(pacoteCacheDir);
-    await fs.rmdir(pacoteCacheDir);
+function hashFile(/** @type string */ filePath) {
+    return "sha256-" + crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("base64");
 }
 
-async function extractPlugin(
-    /** @type string */npmPackageSpec,
-    /** @type string */tmpDir,
-    /** @type string */pacoteCacheDir
+/**
+ * @typedef {{
+ *  publisher: string; pluginName: string; spec: string; current: string; wanted: string; latest: string
+ * }} PluginUpdateStatus
+ */
+
+/**
+ * Compares the newest installed version of a plugin with what its recorded source spec currently resolves to
+ */
+async function getPluginUpdateStatus(
+    /** @type Context */ ctx,
+    /** @type {ReturnType<typeof listPlugins>[0]} */ plugin,
+    /** @type string */ tmpDir,
+    /** @type string */ projectDir
 ) {
-    let pacoteOpts = {
-        cache: pacoteCacheDir,
-        // The default dirPacker strips .npmignore'd files, which we don't want to do if installing from git/file,
-        // because we will build the plugin locally.
-        // See https://github.com/npm/pacote/blob/latest/lib/util/pack-dir.js#L35
-        dirPacker(manifest, dir) {
-            return tar.c({
-                cwd: dir,
-                gzip: true,
-                portable: true,
-                prefix: "package/"
-            }, ["."])
-        }
+    let pluginId = `${plugin.publisher}/${plugin.pluginName}`;
+    if (plugin.type === "link") {
+        ctx.logger.info(`Skipping linked plugin "${pluginId}".`);
+        return void 0;
+    }
+
+    let current = plugin.type === "flat" ?
+        void 0 :
+        plugin.versions.filter(v => semver.valid(v)).sort(semver.rcompare)[0];
+    let metadataPath = path.join(plugin.type === "flat" ? plugin.path : path.join(plugin.path, current || ""),
+        installMetadataFileName);
+    if (!fs.existsSync(metadataPath)) {
+        ctx.logger.warn(`No install metadata found for "${pluginId}". Re-install it to enable updates.`);
+        return void 0;
+    }
+
+    /** @type InstallMetadata */
+    let { spec, version } = fs.readJsonSync(metadataPath, { encoding: "utf-8" });
+    let parsedSpec = npa(spec, projectDir);
+    if ((parsedSpec.type === "file" || parsedSpec.type === "directory") && !fs.existsSync(parsedSpec.fetchSpec || "")) {
+        throw new UserError(`"${pluginId}" was installed from "${spec}", which no longer exists.`);
+    }
+    checkOfflineSpec(ctx, spec, projectDir);
+    let pacoteOpts = getPacoteOptions(ctx, tmpDir, projectDir);
+
+    // Archives created by "acp pack" are read directly, as when installing them
+    let packedPluginPath = await getPackedPluginPath(spec, projectDir);
+    let wantedManifest = packedPluginPath ?
+        readPluginManifest(extractPackedPlugin(ctx, packedPluginPath, tmpDir, void 0).pluginTmpPath) :
+        await fromCache(ctx, spec, () => pacote.manifest(spec, pacoteOpts));
+    let latestManifest = wantedManifest;
+    if (parsedSpec.registry) {
+        let latestSpec = `${parsedSpec.name}@latest`;
+        latestManifest = await fromCache(ctx, latestSpec, () => pacote.manifest(latestSpec, pacoteOpts));
+    }
+
+    /** @type PluginUpdateStatus */
+    let status = {
+        publisher: plugin.publisher,
+        pluginName: plugin.pluginName,
+        spec,
+        current: current || version,
+        wanted: wantedManifest.version,
+        latest: latestManifest.version
     };
+    return status;
+}
 
-    // Resolve plugin name from spec
-    process.stdout.write(`Loading plugin manifest...\n`);
-    let manifest = await pacote.manifest(npmPackageSpec, pacoteOpts);
-    if (!manifest) {
-        throw new UserError(`Could not resolve plugin manifest for spec "${npmPackageSpec}"`);
+/**
+ * Reads the plugin specs declared by the host app, either in acp-plugins.json or in the "acp" section of package.json
+ */
+function readPluginsFile(/** @type string */ projectDir) {
+    let pluginsFilePath = path.join(projectDir, pluginsFileName);
+    let packageJsonPath = path.join(projectDir, "package.json");
+
+    /** @type {{ plugins?: string[] } | undefined} */
+    let config;
+    let configSource;
+    if (fs.existsSync(pluginsFilePath)) {
+        config = fs.readJsonSync(pluginsFilePath, { encoding: "utf-8" });
+        configSource = pluginsFileName;
+    } else if (fs.existsSync(packageJsonPath)) {
+        config = fs.readJsonSync(packageJsonPath, { encoding: "utf-8" }).acp;
+        configSource = `"acp" section of package.json`;
     }
 
-    let packageTmpDirName = manifest.name;
-    if (!packageTmpDirName) {
-        packageTmpDirName = crypto.createHash("md5").update(npmPackageSpec).digest("hex");
+    if (!config) {
+        throw new UserError(`No plugins specified. Pass one or more plugin specs or declare them in ` +
+            `"${pluginsFileName}" or in the "acp" section of package.json.`);
     }
 
-    // Extract plugin to a temporary folder
-    let pluginTmpPath = path.join(tmpDir, packageTmpDirName.replace(/\//g, path.sep));
-    await pacote.extract(npmPackageSpec, pluginTmpPath, pacoteOpts);
+    let plugins = config.plugins;
+    if (!Array.isArray(plugins) || plugins.some(spec => typeof spec !== "string")) {
+        throw new UserError(`"plugins" field in ${configSource} must be an array of plugin specs.`);
+    }
 
-    return pluginTmpPath;
+    return plugins;
 }
 
-async function linkPlugin(/** @type string */ targetDir, /** @type string */ pluginPath) {
-    let { publisher, distDir, mainJsFilename, pluginName} = readPluginManifest(pluginPath);
+/**
+ * @typedef {{
+ *  lockfileVersion: number;
+ *  plugins: Object.<string, {
+ *      publisher: string; pluginName: string; version: string; resolved: string; integrity?: string
+ *  }>
+ * }} Lockfile
+ */
 
-    let mainJsPath = path.join(pluginPath, distDir, mainJsFilename);
-    if (!fs.existsSync(mainJsPath)) {
-        throw new UserError(`Couldn't resolve plugin main JS file at "${mainJsPath}"`);
+function readLockfile(/** @type string */ projectDir) {
+    let lockfilePath = path.join(projectDir, lockfileName);
+    if (!fs.existsSync(lockfilePath)) {
+        return void 0;
     }
 
-    if (mainJsFilename !== "index.js") {
-        throw new UserError(`The plugin can only be linked if its main js file is named "index.js" (main js: "${mainJsFilename}").`);
+    /** @type Lockfile */
+    let lockfile = fs.readJsonSync(lockfilePath, { encoding: "utf-8" });
+    if (lockfile.lockfileVersion !== 1 || !lockfile.plugins) {
+        throw new UserError(`Unsupported or corrupt lockfile "${lockfilePath}".`);
     }
 
-    let pluginSrcDistPath = path.resolve(pluginPath, distDir);
-    let pluginTargetPath = getPluginTargetPath(targetDir, publisher, pluginName);
+    return lockfile;
+}
 
-    fs.mkdirpSync(path.join(targetDir, publisher));
-    fs.removeSync(pluginTargetPath);
-    await fs.symlink(pluginSrcDistPath, pluginTargetPath, "junction");
+function writeLockfile(/** @type string */ projectDir, /** @type Lockfile */ lockfile) {
+    fs.writeFileSync(
+        path.join(projectDir, lockfileName),
+        JSON.stringify(lockfile, void 0, " ".repeat(2)) + "\n"
+    );
+}
 
-    process.stdout.write(`Symlinked plugin to "${pluginTargetPath}".\n`);
+/**
+ * Local paths are recorded as absolute "file:" specs in the install metadata, so that the plugins can be checked for
+ * updates from any folder
+ */
+function toInstallMetadataSpec(/** @type string */ spec, /** @type string */ projectDir) {
+    let parsedSpec;
+    try {
+        parsedSpec = npa(spec, projectDir);
+    } catch (e) {
+        return spec;
+    }
+    return parsedSpec.type === "file" || parsedSpec.type === "directory" ? "file:" + parsedSpec.fetchSpec : spec;
 }
 
-function getPluginTargetPath(/** @type string */ targetDir, /** @type string */ publisher, /** @type string */ pluginName) {
-    return path.join(targetDir, publisher, pluginName);
+/**
+ * Local folders are resolved to absolute paths by pacote. Keep them relative in the lockfile so it can be committed.
+ */
+function toLockfileSource(/** @type string */ projectDir, /** @type string */ resolved) {
+    if (path.isAbsolute(resolved)) {
+        return "file:" + path.relative(projectDir, resolved).replace(/\\/g, "/");
+    }
+    return resolved;
 }
 
 function readPluginManifest(/** @type string */ pluginPath) {
     let packageJsonPath = path.join(pluginPath, "package.json");
     if (!fs.existsSync(packageJsonPath)) {
-        throw new UserError(`No package.json manifest found at local path "${packageJsonPath}"`);
+        throw new UserError(`No package.json manifest found at local path "${packageJsonPath}"`, "EMANIFEST");
     }
 
-    /** @type {Object.<string, string>} */
-    let { name, publisher, main, pluginName, version, scripts } = fs.readJsonSync(packageJsonPath, { encoding: "utf-8" });
-
-    if (!pluginName) {
-        if (!name) {
-            throw new UserError(`Plugins without a "name" field must define a "pluginName" field instead in package.json.`);
-        }
-        if (name.match(/^@/)) {
-            throw new UserError(`Scoped packages must define a custom "pluginName" field in package.json.`);
-        }
+    let packageJson = fs.readJsonSync(packageJsonPath, { encoding: "utf-8" });
+    let problems = getManifestProblems(packageJson);
+    if (problems.length) {
+        throw new UserError(problems[0], "EMANIFEST");
     }
 
-    pluginName = pluginName || name;
-    validatePluginName(pluginName);
+    /** @type {Object.<string, string>} */
+    let { name, publisher, main, pluginName, version, scripts, engines } = packageJson;
+    /** @type {Object.<string, string>} */
+    let pluginDependencies = packageJson.pluginDependencies || {};
 
-    if (!publisher) {
-        throw new UserError(`Missing "publisher" field in package.json.`);
-    }
-    if (!main) {
-        throw new UserError(`Missing "main" field in package.json.`);
-    }
+    pluginName = pluginName || name;
 
     // Get js files based on "main" field in package.json and copy them to plugins folder
     /** @type string[] */ let mainMatch = main.match(/(?:(.+)\/)?([^/]+\.js)$/);
-    if (!mainMatch) {
-        throw new UserError(`Couldn't resolve plugin main field in package.json.`);
-    }
-
-    if (!mainMatch[1]) {
-        throw new UserError(`Couldn't resolve plugin js bundle dir. ` +
-            `"main" field in package.json must point to a package subdirectory containing only the js bundle and its public dependencies`);
-    }
-
     let distDir = mainMatch[1] || ".";
     let mainJsFilename = mainMatch[2];
 
     let hasPrepareScript = scripts && !!/** @type any */(scripts).prepare;
     let hasBuildScript = scripts && !!/** @type any */(scripts).build;
+    let hasWatchScript = scripts && !!/** @type any */(scripts).watch;
+    /** @type {string | undefined} */
+    let cmsVersionRange = engines && /** @type any */(engines)[cmsPackageName];
 
     return {
         name,
@@ -481,7 +4026,156 @@ function readPluginManifest(/** @type string */ pluginPath) {
         distDir,
         mainJsFilename,
         hasPrepareScript,
-        hasBuildScript
+        hasBuildScript,
+        hasWatchScript,
+        cmsVersionRange,
+        pluginDependencies
+    }
+}
+
+/**
+ * Parses a plugin URI (plugin://publisher/plugin_name) into the plugin identity
+ */
+function parsePluginUri(/** @type string */ uri) {
+    let match = uri.match(/^plugin:\/\/([^/?#\s]+)\/([^/?#\s]+)$/);
+    return match ? { publisher: match[1], pluginName: match[2] } : void 0;
+}
+
+/**
+ * Parses a pluginDependencies value: a semver range, or an npm alias ("npm:<package>@<range>") that also tells where
+ * to fetch the dependency from if it isn't installed
+ */
+function parseDependencyRange(/** @type any */ value) {
+    if (typeof value !== "string") {
+        return void 0;
+    }
+    if (!/^npm:/.test(value)) {
+        return semver.validRange(value) ? { range: value, source: void 0 } : void 0;
+    }
+    let parsedSpec;
+    try {
+        parsedSpec = npa(value.slice("npm:".length));
+    } catch (e) {
+        return void 0;
+    }
+    let range = parsedSpec.rawSpec || "*";
+    if (!parsedSpec.registry || !parsedSpec.name || !semver.validRange(range)) {
+        return void 0;
+    }
+    return { range, source: `${parsedSpec.name}@${range}` };
+}
+
+/**
+ * Returns the @alethio/cms version that the host app depends on, if it can be determined
+ */
+function resolveHostVersion(/** @type string */ projectDir, /** @type {string | undefined} */ hostVersionArg) {
+    if (hostVersionArg) {
+        if (!semver.valid(hostVersionArg)) {
+            throw new UserError(`Invalid host version "${hostVersionArg}".`);
+        }
+        return hostVersionArg;
+    }
+
+    let cmsPackageJsonPath = path.join(projectDir, "node_modules", cmsPackageName, "package.json");
+    if (!fs.existsSync(cmsPackageJsonPath)) {
+        return void 0;
+    }
+    /** @type string */
+    let version = fs.readJsonSync(cmsPackageJsonPath, { encoding: "utf-8" }).version;
+    return version;
+}
+
+function checkHostCompatibility(
+    /** @type Context */ ctx,
+    /** @type string */ pluginId,
+    /** @type {string | undefined} */ cmsVersionRange,
+    /** @type {string | undefined} */ hostVersion,
+    force = false
+) {
+    if (!cmsVersionRange) {
+        return;
+    }
+    if (!hostVersion) {
+        ctx.logger.warn(`Couldn't determine the ${cmsPackageName} version of the host app. ` +
+            `Skipping compatibility check (plugin requires ${cmsPackageName}@${cmsVersionRange}).`);
+        return;
+    }
+    if (semver.satisfies(hostVersion, cmsVersionRange, { includePrerelease: true })) {
+        return;
+    }
+
+    let message = `Plugin "${pluginId}" requires ${cmsPackageName}@${cmsVersionRange}, ` +
+        `but the host app uses version ${hostVersion}.`;
+    if (!force) {
+        throw new UserError(message + ` Use --force to install it anyway.`, "EINCOMPATIBLE");
+    }
+    ctx.logger.warn(`${message} Installing anyway (--force).`);
+}
+
+/**
+ * Checks the plugin fields of a package.json and returns all the problems found, in the order install would hit them
+ */
+function getManifestProblems(/** @type {Object.<string, any>} */ packageJson) {
+    let { name, publisher, main, pluginName, pluginDependencies } = packageJson;
+    /** @type string[] */
+    let problems = [];
+
+    if (!pluginName) {
+        if (!name) {
+            problems.push(`Plugins without a "name" field must define a "pluginName" field instead in package.json.`);
+        } else if (name.match(/^@/)) {
+            problems.push(`Scoped packages must define a custom "pluginName" field in package.json.`);
+        }
+    }
+    if (pluginName || name) {
+        collectProblems(problems, () => validatePluginName(pluginName || name));
+    }
+
+    if (!publisher) {
+        problems.push(`Missing "publisher" field in package.json.`);
+    }
+    if (!main) {
+        problems.push(`Missing "main" field in package.json.`);
+    } else {
+        let mainMatch = main.match(/(?:(.+)\/)?([^/]+\.js)$/);
+        if (!mainMatch) {
+            problems.push(`Couldn't resolve plugin main field in package.json.`);
+        } else if (!mainMatch[1]) {
+            problems.push(`Couldn't resolve plugin js bundle dir. ` +
+                `"main" field in package.json must point to a package subdirectory containing only the js bundle and its public dependencies`);
+        }
+    }
+
+    if (pluginDependencies !== void 0) {
+        if (!pluginDependencies || typeof pluginDependencies !== "object" || Array.isArray(pluginDependencies)) {
+            problems.push(`"pluginDependencies" field in package.json must map plugin URIs to version ranges.`);
+        } else {
+            for (let uri of Object.keys(pluginDependencies)) {
+                if (!parsePluginUri(uri)) {
+                    problems.push(`Invalid plugin dependency "${uri}" in package.json. ` +
+                        `Expected a plugin URI (plugin://publisher/plugin_name).`);
+                } else if (!parseDependencyRange(pluginDependencies[uri])) {
+                    problems.push(`Invalid version range "${pluginDependencies[uri]}" for plugin dependency ` +
+                        `"${uri}" in package.json. Expected a semver range or "npm:<package>@<range>".`);
+                }
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Runs a check that throws UserError and records its message instead
+ */
+function collectProblems(/** @type string[] */ problems, /** @type {() => void} */ check) {
+    try {
+        check();
+    } catch (e) {
+        if (!(e instanceof UserError)) {
+            throw e;
+        }
+        problems.push(e.message);
     }
 }
 
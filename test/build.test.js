@@ -0,0 +1,68 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+/**
+ * Writes a plugin without a prebuilt bundle, whose "build" script runs the given code with node
+ */
+function createSourcePlugin(/** @type string */ pluginPath, /** @type string */ buildSource) {
+    createPlugin(pluginPath, { scripts: { build: "node build.js" } });
+    fs.removeSync(path.join(pluginPath, "dist"));
+    fs.writeFileSync(path.join(pluginPath, "build.js"), buildSource);
+    return "./" + path.basename(pluginPath);
+}
+
+/** Build script that writes the bundle and the value of ACP_TEST_SECRET seen by the build */
+let envReportingBuild = `let fs = require("fs");
+fs.mkdirSync("dist");
+fs.writeFileSync("dist/index.js", "__acme__myPlug({ getAvailableLocales: function() { return []; } });");
+fs.writeFileSync("dist/env.json", JSON.stringify({ secret: process.env.ACP_TEST_SECRET || null }));
+`;
+
+function installFromSource(/** @type string */ cwd, /** @type string */ spec, /** @type object */ options = {}) {
+    let buildLog = path.join(cwd, "build.log");
+    return acp.install([spec], { cwd, buildLog, logger: createLogger(), ...options });
+}
+
+test("reports a failing build script with its exit code", async t => {
+    let cwd = createTmpDir(t);
+    let spec = createSourcePlugin(path.join(cwd, "my-plug"), `process.exit(3);\n`);
+
+    let { failures } = await installFromSource(cwd, spec);
+
+    assert.deepStrictEqual(failures.map(f => f.code), ["EBUILD"]);
+    assert.match(failures[0].message, /^"npm run build" failed with exit code 3\./);
+});
+
+test("kills a build that runs longer than the build timeout", async t => {
+    let cwd = createTmpDir(t);
+    let spec = createSourcePlugin(path.join(cwd, "my-plug"), `setTimeout(() => {}, 60000);\n`);
+
+    let start = Date.now();
+    let { failures } = await installFromSource(cwd, spec, { buildTimeout: 5 });
+
+    assert.deepStrictEqual(failures.map(f => f.code), ["EBUILD"]);
+    assert.match(failures[0].message, /^Plugin build timed out after 5 seconds/);
+    assert.ok(Date.now() - start < 30000);
+});
+
+test("builds with a clean environment, keeping only the allowed variables", async t => {
+    let cwd = createTmpDir(t);
+    let spec = createSourcePlugin(path.join(cwd, "my-plug"), envReportingBuild);
+    process.env.ACP_TEST_SECRET = "secret";
+    t.after(() => { delete process.env.ACP_TEST_SECRET; });
+    let envPath = path.join(cwd, acp.defaultTargetPath, "acme", "my-plug", "1.0.0", "env.json");
+
+    await installFromSource(cwd, spec);
+    assert.deepStrictEqual(fs.readJsonSync(envPath), { secret: "secret" });
+
+    await installFromSource(cwd, spec, { cleanEnv: true });
+    assert.deepStrictEqual(fs.readJsonSync(envPath), { secret: null });
+
+    await installFromSource(cwd, spec, { cleanEnv: true, keepEnv: ["ACP_TEST_SECRET"] });
+    assert.deepStrictEqual(fs.readJsonSync(envPath), { secret: "secret" });
+});
@@ -0,0 +1,98 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin, startRegistry } = require("./helpers");
+
+/**
+ * Creates a host app and a local registry serving "@acme/my-plug" 1.0.0
+ */
+async function createHostApp(/** @type {import("node:test").TestContext} */ t) {
+    let cwd = createTmpDir(t);
+    let registry = await startRegistry(t, [createPlugin(path.join(cwd, "my-plug-1.0.0"))]);
+    let options = { cwd, registry: registry.url, cache: path.join(cwd, "acp-cache"), logger: createLogger() };
+    return { cwd, registry, options };
+}
+
+test("installs cached packages in offline mode", async t => {
+    let { cwd, registry, options } = await createHostApp(t);
+
+    let { cacheDir, packages } = await acp.cacheAdd(["@acme/my-plug@1.0.0"], options);
+    assert.strictEqual(cacheDir, path.join(cwd, "acp-cache"));
+    assert.deepStrictEqual(packages.map(({ integrity, ...p }) => p),
+        [{ name: "@acme/my-plug", version: "1.0.0", resolved: `${registry.url}1.0.0.tgz` }]);
+
+    let listed = await acp.cacheList(options);
+    assert.deepStrictEqual(listed.packages.map(p => `${p.name}@${p.version}`), ["@acme/my-plug@1.0.0"]);
+
+    let result = await acp.install(["@acme/my-plug@1.0.0"], { ...options, offline: true });
+    assert.deepStrictEqual(result.plugins.map(p => `${p.publisher}/${p.pluginName}@${p.version}`),
+        ["acme/my-plug@1.0.0"]);
+    assert.ok(fs.existsSync(path.join(cwd, acp.defaultTargetPath, "acme", "my-plug", "1.0.0", "index.js")));
+});
+
+test("reads the cache folder from the environment", async t => {
+    let { cwd, options: { cache, ...options } } = await createHostApp(t);
+    process.env[acp.cacheEnvVar] = "env-cache";
+    t.after(() => { delete process.env[acp.cacheEnvVar]; });
+
+    let { cacheDir } = await acp.cacheAdd(["@acme/my-plug@1.0.0"], options);
+
+    assert.strictEqual(cacheDir, path.join(cwd, "env-cache"));
+    assert.strictEqual((await acp.cacheList(options)).packages.length, 1);
+});
+
+test("caches the locked versions of the declared plugins", async t => {
+    let { cwd, registry, options } = await createHostApp(t);
+    fs.outputJsonSync(path.join(cwd, acp.pluginsFileName), { plugins: ["@acme/my-plug@^1.0.0"] });
+    await acp.install([], options);
+    registry.publish(createPlugin(path.join(cwd, "my-plug-1.1.0"), { version: "1.1.0" }));
+    await acp.cacheClean(options);
+
+    let { packages } = await acp.cacheAdd([], options);
+
+    assert.deepStrictEqual(packages.map(p => p.version), ["1.0.0"]);
+    let result = await acp.install([], { ...options, offline: true });
+    assert.deepStrictEqual(result.plugins.map(p => p.version), ["1.0.0"]);
+});
+
+test("fails with ENETWORK for packages that aren't cached", async t => {
+    let { options } = await createHostApp(t);
+    await acp.cacheAdd(["@acme/my-plug@1.0.0"], options);
+    await acp.cacheClean(options);
+    assert.ok(!fs.existsSync(options.cache));
+
+    let { failures } = await acp.install(["@acme/my-plug@1.0.0"], { ...options, offline: true });
+
+    assert.deepStrictEqual(failures, [{
+        spec: "@acme/my-plug@1.0.0",
+        code: "ENETWORK",
+        message: `"@acme/my-plug@1.0.0" is not in the package cache at "${options.cache}". ` +
+            `Add it with 'acp cache add' while online.`
+    }]);
+});
+
+test("rejects git specs in offline mode", async t => {
+    let { options } = await createHostApp(t);
+
+    let { failures } = await acp.install(["github:acme/my-plug"], { ...options, offline: true });
+
+    assert.deepStrictEqual(failures, [{
+        spec: "github:acme/my-plug",
+        code: "ENETWORK",
+        message: `Can't fetch "github:acme/my-plug" in offline mode, because git specs aren't cached. ` +
+            `Install a packed archive instead (see 'acp pack').`
+    }]);
+});
+
+test("requires a cache folder in offline mode", async t => {
+    let { options: { cache, ...options } } = await createHostApp(t);
+
+    await assert.rejects(acp.install(["@acme/my-plug@1.0.0"], { ...options, offline: true }), {
+        code: "EINVALID",
+        message: `Offline mode needs a package cache. ` +
+            `Set it with the "cache" option or the ${acp.cacheEnvVar} environment variable.`
+    });
+});
@@ -0,0 +1,41 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let http = require("http");
+let net = require("net");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+async function getFreePort() {
+    let server = net.createServer();
+    await new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(void 0)));
+    let { port } = /** @type net.AddressInfo */(server.address());
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+function get(/** @type number */ port, /** @type string */ urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: "127.0.0.1", port, path: urlPath }, res => {
+            res.resume();
+            res.on("end", () => resolve(res.statusCode));
+        }).on("error", reject);
+    });
+}
+
+test("serves the host app on 127.0.0.1 and rejects malformed URLs", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = createPlugin(path.join(cwd, "my-plug"));
+    fs.outputFileSync(path.join(cwd, "dist", "index.html"), "<html><body></body></html>");
+    let port = await getFreePort();
+    let logger = createLogger();
+
+    let { close } = await acp.dev([pluginPath], { cwd, serve: "dist", port, logger });
+    t.after(close);
+
+    assert.ok(logger.messages.indexOf(`Serving "${path.join(cwd, "dist")}" at http://127.0.0.1:${port}/`) !== -1);
+    assert.strictEqual(await get(port, "/%E0%A4%A"), 400);
+    assert.strictEqual(await get(port, "/"), 200);
+});
@@ -0,0 +1,158 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let child_process = require("child_process");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin, installPluginVersions } = require("./helpers");
+
+let cliPath = path.join(__dirname, "..", "cli.js");
+
+/**
+ * Runs the acp CLI in the given folder. In JSON mode, stdout is parsed into the list of events.
+ */
+function runCli(/** @type string */ cwd, /** @type string[] */ args) {
+    let { status, stdout, stderr } = child_process.spawnSync(process.execPath, [cliPath, ...args], {
+        cwd, encoding: "utf-8", timeout: 120000
+    });
+    let events = args.indexOf("--json") !== -1 ?
+        stdout.split("\n").filter(line => line).map(line => JSON.parse(line)) : [];
+    return { status, stdout, stderr, events };
+}
+
+test("reports git fetch failures as network errors", async t => {
+    let cwd = createTmpDir(t);
+    let repoUrl = "git+file://" + path.join(cwd, "missing-repo.git").replace(/\\/g, "/");
+
+    let { failures } = await acp.install([repoUrl], { cwd, logger: createLogger() });
+
+    assert.deepStrictEqual(failures.map(f => f.code), ["ENETWORK"]);
+    assert.match(failures[0].message, /^Couldn't fetch ".*" with git: fatal: /);
+});
+
+/** @type {{ code: import("..").ErrorCode; args: string[]; setup(cwd: string): Promise<void> | void }[]} */
+let failingCommands = [{
+    code: "EINVALID",
+    args: ["install", "--concurrency", "x"],
+    setup() {}
+}, {
+    code: "EMANIFEST",
+    args: ["inspect"],
+    setup(cwd) {
+        createPlugin(cwd);
+        fs.removeSync(path.join(cwd, "dist"));
+    }
+}, {
+    code: "EBUILD",
+    args: ["install", "./my-plug", "--build-log", "build.log"],
+    setup(cwd) {
+        let pluginPath = createPlugin(path.join(cwd, "my-plug"), { scripts: { build: "node build.js" } });
+        fs.removeSync(path.join(pluginPath, "dist"));
+        fs.writeFileSync(path.join(pluginPath, "build.js"), `process.exit(3);\n`);
+    }
+}, {
+    code: "ECONFLICT",
+    args: ["install", "./my-plug", "./my-plug-copy"],
+    setup(cwd) {
+        createPlugin(path.join(cwd, "my-plug"));
+        createPlugin(path.join(cwd, "my-plug-copy"));
+    }
+}, {
+    code: "ENETWORK",
+    args: ["install", "git+file:///missing-repo.git"],
+    setup() {}
+}, {
+    code: "EINCOMPATIBLE",
+    args: ["install", "./my-plug", "--host-version", "2.1.0"],
+    setup(cwd) {
+        createPlugin(path.join(cwd, "my-plug"), { engines: { "@alethio/cms": "^1.0.0" } });
+    }
+}, {
+    code: "EINTEGRITY",
+    args: ["verify"],
+    async setup(cwd) {
+        let pluginPath = await installPluginVersions(cwd, ["1.0.0"]);
+        fs.appendFileSync(path.join(pluginPath, "1.0.0", "index.js"), "\n// tampered\n");
+    }
+}, {
+    code: "ECHECK",
+    args: ["inspect"],
+    setup(cwd) {
+        createPlugin(cwd);
+        fs.writeFileSync(path.join(cwd, "dist", "index.js"), `module.exports = {};\n`);
+    }
+}];
+
+for (let { code, args, setup } of failingCommands) {
+    test(`exits with code ${acp.errorExitCodes[code]} on ${code} errors`, async t => {
+        let cwd = createTmpDir(t);
+        await setup(cwd);
+
+        let text = runCli(cwd, args);
+        assert.strictEqual(text.status, acp.errorExitCodes[code]);
+        assert.match(text.stderr, /^Error: /m);
+
+        let { status, stderr, events } = runCli(cwd, ["--json", ...args]);
+        assert.strictEqual(status, acp.errorExitCodes[code]);
+        assert.strictEqual(stderr, "");
+        let lastEvent = events[events.length - 1];
+        assert.deepStrictEqual({ ...lastEvent, message: void 0 },
+            { type: "error", code, exitCode: acp.errorExitCodes[code], message: void 0 });
+        assert.strictEqual(events.filter(e => e.type === "error" && e.exitCode !== void 0).length, 1);
+    });
+}
+
+test("exits with code 70 on internal errors and prints the stack trace", async t => {
+    let cwd = createTmpDir(t);
+    createPlugin(path.join(cwd, "my-plug"));
+    fs.writeFileSync(path.join(cwd, "target"), "");
+
+    let { status, stderr, events } = runCli(cwd, ["--json", "install", "./my-plug", "--target", "target"]);
+
+    assert.strictEqual(status, 70);
+    assert.match(stderr, /^Error: ENOTDIR: .*\n\s+at /);
+    assert.deepStrictEqual({ ...events[events.length - 1], message: void 0 },
+        { type: "error", code: "EINTERNAL", exitCode: 70, message: void 0 });
+});
+
+test("streams log, progress and result events in JSON mode", async t => {
+    let cwd = createTmpDir(t);
+    createPlugin(path.join(cwd, "my-plug"));
+    let installPath = path.join(cwd, acp.defaultTargetPath, "acme", "my-plug", "1.0.0");
+
+    let { status, stdout, events } = runCli(cwd, ["--json", "install", "./my-plug"]);
+
+    assert.strictEqual(status, 0);
+    assert.ok(stdout.endsWith("\n"));
+    assert.deepStrictEqual(events.filter(e => e.type !== "log").map(e => e.type),
+        ["resolved", "copied", "installed", "indexed", "result"]);
+    assert.ok(events.some(e => e.type === "log" && e.level === "info" &&
+        e.message === `Successfully installed plugin "acme/my-plug" to "${installPath}".`));
+    let installed = events.filter(e => e.type === "installed");
+    assert.deepStrictEqual(installed.map(e => [e.spec, e.publisher, e.pluginName, e.version, e.path]),
+        [["./my-plug", "acme", "my-plug", "1.0.0", installPath]]);
+    let lastEvent = events[events.length - 1];
+    assert.deepStrictEqual(lastEvent.result.failures, []);
+    assert.deepStrictEqual(lastEvent.result.plugins.map((/** @type any */ p) => p.path), [installPath]);
+});
+
+test("reports per-plugin failures before the result and the final error in JSON mode", async t => {
+    let cwd = createTmpDir(t);
+    createPlugin(path.join(cwd, "my-plug"));
+    createPlugin(path.join(cwd, "other-plug"), { pluginName: "other-plug", version: "2.0.0",
+        engines: { "@alethio/cms": "^1.0.0" } });
+
+    let { status, events } = runCli(cwd, ["--json", "install", "./my-plug", "./other-plug", "--host-version", "2.1.0"]);
+
+    assert.strictEqual(status, acp.errorExitCodes.EINCOMPATIBLE);
+    assert.deepStrictEqual(events.filter(e => e.type !== "log").map(e => e.type),
+        ["resolved", "resolved", "copied", "installed", "error", "indexed", "result", "error"]);
+    let [pluginError, result, finalError] = events.filter(e => e.type === "error" || e.type === "result");
+    assert.deepStrictEqual({ ...pluginError, message: void 0 },
+        { type: "error", spec: "./other-plug", code: "EINCOMPATIBLE", message: void 0 });
+    assert.deepStrictEqual(result.result.failures, [{ spec: "./other-plug", code: "EINCOMPATIBLE",
+        message: pluginError.message }]);
+    assert.deepStrictEqual(finalError, { type: "error", code: "EINCOMPATIBLE", exitCode: 7,
+        message: "1 plugin(s) failed to install." });
+});
@@ -0,0 +1,17 @@
+var config = {
+    mode: "production",
+    entry: "./plugin",
+    output: {
+        filename: "index.js"
+    }
+};
+
+config.output.library = "__acme__myPlug";
+config.output.libraryTarget = "jsonp";
+config.externals = [
+    "react",
+    "mobx",
+    ({ request }, callback) => /^plugin-api\//.test(request) ? callback(null, "commonjs " + request) : callback()
+];
+
+module.exports = config;
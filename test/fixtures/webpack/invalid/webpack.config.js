@@ -0,0 +1,13 @@
+module.exports = {
+    mode: "production",
+    entry: "./plugin",
+    output: {
+        filename: "index.js",
+        library: "__acme__myPlug",
+        libraryTarget: "umd"
+    },
+    externals: {
+        "react": "commonjs react"
+        // "mobx": "commonjs mobx"
+    }
+};
@@ -0,0 +1,4 @@
+module.exports = {
+    entry: "./plugin",
+    externals: ["react", "mobx", /^plugin-api\//]
+};
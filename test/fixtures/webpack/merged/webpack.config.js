@@ -0,0 +1,10 @@
+var { merge } = require("webpack-merge");
+
+module.exports = merge(require("./webpack.common.js"), {
+    mode: "production",
+    output: {
+        filename: "index.js",
+        library: "__acme__myPlug",
+        libraryTarget: "jsonp"
+    }
+});
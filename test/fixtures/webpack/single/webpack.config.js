@@ -0,0 +1,24 @@
+var path = require("path");
+
+module.exports = function getConfig(isProduction) {
+    return {
+        mode: isProduction ? "production" : "development",
+        entry: "./plugin",
+        output: {
+            path: path.join(__dirname, "dist"),
+            filename: "index.js",
+            library: "__acme__myPlug",
+            libraryTarget: "jsonp"
+        },
+        externals: [
+            { "react": "commonjs react" },
+            { "mobx": "commonjs mobx" },
+            function(context, request, callback) {
+                if (/^plugin-api\/.+$/.test(request)) {
+                    return callback(null, "commonjs " + request);
+                }
+                callback();
+            }
+        ]
+    };
+};
@@ -0,0 +1,17 @@
+var path = require("path");
+
+var libraryName = "__acme__myPlug";
+
+module.exports = {
+    entry: "./plugin",
+    output: {
+        path: path.join(__dirname, "dist"),
+        filename: "index.js",
+        library: libraryName,
+        libraryTarget: "jsonp"
+    },
+    externals: {
+        "react": "commonjs react",
+        "mobx": "commonjs mobx"
+    }
+};
@@ -0,0 +1,9 @@
+var common = require("./webpack.common.js");
+
+var sharedExternals = [/^plugin-api\//];
+
+module.exports = {
+    ...common,
+    mode: "production",
+    externals: [common.externals, ...sharedExternals]
+};
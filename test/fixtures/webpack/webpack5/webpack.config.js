@@ -0,0 +1,16 @@
+module.exports = {
+    mode: "production",
+    entry: "./plugin",
+    output: {
+        filename: "index.js",
+        library: {
+            name: "__acme__myPlug",
+            type: "jsonp"
+        }
+    },
+    externals: {
+        "react": "commonjs react",
+        "mobx": "commonjs mobx",
+        "plugin-api/withTranslation": "commonjs plugin-api/withTranslation"
+    }
+};
@@ -0,0 +1,22 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger } = require("./helpers");
+
+for (let js of [false, true]) {
+    test(`generates a ${js ? "JavaScript" : "TypeScript"} module without translation keys`, async t => {
+        let cwd = createTmpDir(t);
+        let logger = createLogger();
+        await acp.init({ cwd, publisher: "acme", pluginName: "my-plug", js, npmInstall: false, logger });
+
+        let { files } = await acp.generate("module", "foo-bar", { cwd, logger });
+
+        let componentPath = files.find(file => path.basename(file).startsWith("FooBar."));
+        let source = fs.readFileSync(/** @type string */(componentPath), "utf-8");
+        assert.ok(source.indexOf("<div>FooBar</div>") !== -1);
+        assert.ok(source.indexOf("tr.get(") === -1);
+    });
+}
@@ -0,0 +1,115 @@
+// @ts-check
+let fs = require("fs-extra");
+let http = require("http");
+let os = require("os");
+let path = require("path");
+let tar = require("tar");
+let acp = require("..");
+
+/**
+ * Creates a temporary folder that is removed after the test
+ */
+function createTmpDir(/** @type {import("node:test").TestContext} */ t) {
+    let tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "acp-test-"));
+    t.after(() => fs.removeSync(tmpDir));
+    return tmpDir;
+}
+
+/**
+ * Logger that collects the output instead of printing it
+ */
+function createLogger() {
+    let logger = {
+        /** @type string[] */
+        messages: [],
+        /** @type string[] */
+        warnings: [],
+        info: (/** @type string */ message) => { logger.messages.push(message); },
+        warn: (/** @type string */ message) => { logger.warnings.push(message); }
+    };
+    return logger;
+}
+
+/**
+ * Writes a plugin with a prebuilt bundle, which can be installed and packed without running a build
+ */
+function createPlugin(
+    /** @type string */ pluginPath,
+    /** @type {{ publisher?: string; pluginName?: string; version?: string; [key: string]: any }} */ packageJson = {}
+) {
+    let { publisher = "acme", pluginName = "my-plug", version = "1.0.0" } = packageJson;
+    fs.outputJsonSync(path.join(pluginPath, "package.json"), {
+        name: `@${publisher}/${pluginName}`,
+        main: "dist/index.js",
+        ...packageJson,
+        publisher,
+        pluginName,
+        version
+    });
+    let libraryName = "__" + publisher + "__" + pluginName.replace(/-([a-z])/gi, (m, c) => c.toUpperCase());
+    fs.outputFileSync(path.join(pluginPath, "dist", "index.js"),
+        `${libraryName}({ getAvailableLocales: function() { return ["en-US"]; } });\n`);
+    return pluginPath;
+}
+
+/**
+ * Installs the given versions of the "acme/my-plug" plugin one by one and returns its folder in the target folder
+ */
+async function installPluginVersions(/** @type string */ cwd, /** @type string[] */ versions) {
+    for (let version of versions) {
+        let pluginPath = createPlugin(path.join(cwd, `src-${version}`), { version });
+        await acp.install(["./" + path.relative(cwd, pluginPath)], { cwd, logger: createLogger() });
+    }
+    return path.join(cwd, acp.defaultTargetPath, "acme", "my-plug");
+}
+
+/**
+ * Serves the given plugin packages (versions of the same npm package) from a local registry, which only accepts
+ * requests with the given auth token, if any. Packages can be added later with publish().
+ */
+async function startRegistry(
+    /** @type {import("node:test").TestContext} */ t,
+    /** @type string[] */ pluginPaths,
+    /** @type {string | undefined} */ token = void 0
+) {
+    /** @type {{ name?: string; versions: Object.<string, any>; tarballs: Object.<string, Buffer> }} */
+    let packument = { versions: {}, tarballs: {} };
+
+    let server = http.createServer((req, res) => {
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            res.writeHead(401);
+            res.end();
+        } else if (req.url && packument.tarballs[req.url]) {
+            res.end(packument.tarballs[req.url]);
+        } else if (req.url && decodeURIComponent(req.url.slice(1)) === packument.name) {
+            let versions = Object.keys(packument.versions);
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify({
+                name: packument.name,
+                "dist-tags": { latest: versions[versions.length - 1] },
+                versions: packument.versions
+            }));
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(void 0)));
+    t.after(() => server.close());
+    let url = `http://127.0.0.1:${/** @type {import("net").AddressInfo} */(server.address()).port}/`;
+
+    let publish = (/** @type string */ pluginPath) => {
+        let packageJson = fs.readJsonSync(path.join(pluginPath, "package.json"));
+        let tarballPath = `/${packageJson.version}.tgz`;
+        let tarballFile = path.join(path.dirname(pluginPath), `${path.basename(pluginPath)}.tgz`);
+        tar.c({ gzip: true, sync: true, cwd: pluginPath, prefix: "package", file: tarballFile }, ["."]);
+        packument.name = packageJson.name;
+        packument.tarballs[tarballPath] = fs.readFileSync(tarballFile);
+        packument.versions[packageJson.version] = { ...packageJson, dist: { tarball: url + tarballPath.slice(1) } };
+    };
+    pluginPaths.forEach(publish);
+
+    return { url, publish };
+}
+
+module.exports = { createTmpDir, createLogger, createPlugin, installPluginVersions, startRegistry };
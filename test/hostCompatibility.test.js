@@ -0,0 +1,80 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+/**
+ * Writes a plugin that supports the given @alethio/cms versions and returns its spec
+ */
+function createPluginForHost(/** @type string */ cwd, /** @type string */ cmsVersionRange) {
+    createPlugin(path.join(cwd, "my-plug"), { engines: { "@alethio/cms": cmsVersionRange } });
+    return "./my-plug";
+}
+
+function writeHostVersion(/** @type string */ cwd, /** @type string */ version) {
+    fs.outputJsonSync(path.join(cwd, "node_modules", "@alethio", "cms", "package.json"),
+        { name: "@alethio/cms", version });
+}
+
+test("installs plugins compatible with the host app version from node_modules", async t => {
+    let cwd = createTmpDir(t);
+    writeHostVersion(cwd, "1.2.0");
+    let spec = createPluginForHost(cwd, "^1.1.0");
+
+    let { plugins, failures } = await acp.install([spec], { cwd, logger: createLogger() });
+
+    assert.deepStrictEqual(failures, []);
+    assert.deepStrictEqual(plugins.map(p => p.version), ["1.0.0"]);
+});
+
+test("refuses plugins that don't support the host app version", async t => {
+    let cwd = createTmpDir(t);
+    writeHostVersion(cwd, "1.2.0");
+    let spec = createPluginForHost(cwd, "^2.0.0");
+
+    let { failures } = await acp.install([spec], { cwd, logger: createLogger() });
+
+    assert.deepStrictEqual(failures.map(f => [f.code, f.message]), [["EINCOMPATIBLE",
+        `Plugin "acme/my-plug@1.0.0" requires @alethio/cms@^2.0.0, but the host app uses version 1.2.0. ` +
+        `Use --force to install it anyway.`]]);
+    assert.ok(!fs.existsSync(path.join(cwd, acp.defaultTargetPath, "acme")));
+});
+
+test("checks the host version given explicitly instead of the installed one", async t => {
+    let cwd = createTmpDir(t);
+    writeHostVersion(cwd, "1.2.0");
+    let spec = createPluginForHost(cwd, "^2.0.0");
+
+    let { failures } = await acp.install([spec], { cwd, hostVersion: "2.1.0", logger: createLogger() });
+
+    assert.deepStrictEqual(failures, []);
+    await assert.rejects(acp.install([spec], { cwd, hostVersion: "latest", logger: createLogger() }),
+        { code: "EINVALID", message: `Invalid host version "latest".` });
+});
+
+test("installs incompatible plugins with a warning when forced", async t => {
+    let cwd = createTmpDir(t);
+    writeHostVersion(cwd, "1.2.0");
+    let spec = createPluginForHost(cwd, "^2.0.0");
+    let logger = createLogger();
+
+    let { plugins, failures } = await acp.install([spec], { cwd, force: true, logger });
+
+    assert.deepStrictEqual(failures, []);
+    assert.deepStrictEqual(plugins.map(p => p.version), ["1.0.0"]);
+    assert.ok(logger.warnings.some(warning => warning.indexOf("Installing anyway (--force).") !== -1));
+});
+
+test("skips the check with a warning if the host version is unknown", async t => {
+    let cwd = createTmpDir(t);
+    let spec = createPluginForHost(cwd, "^2.0.0");
+    let logger = createLogger();
+
+    let { failures } = await acp.install([spec], { cwd, logger });
+
+    assert.deepStrictEqual(failures, []);
+    assert.ok(logger.warnings.some(warning => warning.indexOf("Skipping compatibility check") !== -1));
+});
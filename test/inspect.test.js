@@ -0,0 +1,65 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+test("reports the size of the main file and chunks of a valid bundle", async t => {
+    let pluginPath = createPlugin(createTmpDir(t));
+    fs.outputFileSync(path.join(pluginPath, "dist", "1.bundle.js"),
+        `(window.webpackJsonp__acme__myPlug = window.webpackJsonp__acme__myPlug || []).push([[1], {}]);\n`);
+    let logger = createLogger();
+
+    let result = await acp.inspect({ cwd: pluginPath, logger });
+
+    assert.strictEqual(result.libraryName, "__acme__myPlug");
+    assert.deepStrictEqual(result.chunks.map(c => c.file), ["index.js", "1.bundle.js"]);
+    let indexSize = fs.statSync(path.join(pluginPath, "dist", "index.js")).size;
+    assert.strictEqual(result.chunks[0].size, indexSize);
+    assert.ok(result.chunks.every(c => c.gzipSize > 0));
+    assert.deepStrictEqual(result.problems, []);
+    assert.strictEqual(logger.messages[0], `index.js: ${indexSize} B (${result.chunks[0].gzipSize} B gzipped)`);
+    assert.strictEqual(logger.messages[logger.messages.length - 1], "No problems found.");
+});
+
+test("reports wrong JSONP wrappers, foreign chunks, inlined shared libraries and oversized chunks", async t => {
+    let pluginPath = createPlugin(createTmpDir(t));
+    let distPath = path.join(pluginPath, "dist");
+    fs.outputFileSync(path.join(distPath, "index.js"),
+        `/* banner */\n__other__plug({ getAvailableLocales: function() { return []; } });\n` +
+        `// node_modules/mobx/lib/mobx.js\n` + "x".repeat(2048));
+    fs.outputFileSync(path.join(distPath, "2.bundle.js"),
+        `(window.webpackJsonp = window.webpackJsonp || []).push([]);\n`);
+
+    let result = await acp.inspect({ cwd: pluginPath, maxChunkSize: 1024, logger: createLogger() });
+
+    assert.deepStrictEqual(result.problems, [
+        `"index.js" registers itself as "__other__plug", but the CMS expects "__acme__myPlug". ` +
+            `Run "acp rename" and rebuild the plugin.`,
+        `"index.js" contains an inlined copy of "mobx". ` +
+            `Declare it in the webpack "externals" to use the instance provided by the CMS.`,
+        `"index.js" is 2.1 kB, which exceeds the size budget of 1.0 kB.`,
+        `Chunk "2.bundle.js" doesn't use the "webpackJsonp__acme__myPlug" loader callback. ` +
+            `It may be a leftover from a previous build or collide with chunks of other plugins.`
+    ]);
+});
+
+test("reports a main file that isn't wrapped in a JSONP callback", async t => {
+    let pluginPath = createPlugin(createTmpDir(t));
+    fs.outputFileSync(path.join(pluginPath, "dist", "index.js"), `module.exports = {};\n`);
+
+    let { problems } = await acp.inspect({ cwd: pluginPath, logger: createLogger() });
+
+    assert.deepStrictEqual(problems, [
+        `"index.js" is not wrapped in a JSONP callback. Webpack "output.libraryTarget" must be "jsonp".`
+    ]);
+});
+
+test("fails if the plugin wasn't built", async t => {
+    let pluginPath = createPlugin(createTmpDir(t));
+    fs.removeSync(path.join(pluginPath, "dist"));
+
+    await assert.rejects(acp.inspect({ cwd: pluginPath, logger: createLogger() }), { code: "EMANIFEST" });
+});
@@ -0,0 +1,64 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+function createPlugins(/** @type string */ cwd, /** @type string[] */ versions) {
+    return versions.map((version, i) => "./" + path.relative(cwd,
+        createPlugin(path.join(cwd, `src-${i}-${version}`), { version })));
+}
+
+test("installs several versions of a plugin side by side", async t => {
+    let cwd = createTmpDir(t);
+    let specs = createPlugins(cwd, ["1.0.0", "1.1.0"]);
+
+    let result = await acp.install(specs, { cwd, logger: createLogger() });
+
+    assert.deepStrictEqual(result.failures, []);
+    assert.deepStrictEqual((await acp.list({ cwd })).plugins.map(p => p.versions), [["1.0.0", "1.1.0"]]);
+});
+
+test("rejects specs that resolve to the same plugin version", async t => {
+    let cwd = createTmpDir(t);
+    let specs = createPlugins(cwd, ["1.0.0", "1.0.0"]);
+
+    await assert.rejects(acp.install(specs, { cwd, logger: createLogger() }), { code: "ECONFLICT" });
+});
+
+test("rejects several versions of a plugin in dev mode", async t => {
+    let cwd = createTmpDir(t);
+    let specs = createPlugins(cwd, ["1.0.0", "1.1.0"]);
+
+    await assert.rejects(acp.install(specs, { cwd, dev: true, logger: createLogger() }), { code: "ECONFLICT" });
+});
+
+test("resolves plugin dependencies against the matching version when several are installed", async t => {
+    let cwd = createTmpDir(t);
+    let specs = createPlugins(cwd, ["1.0.0", "1.1.0"]);
+    let dependent = createPlugin(path.join(cwd, "src-other"), {
+        pluginName: "other", pluginDependencies: { "plugin://acme/my-plug": "^1.1.0" }
+    });
+
+    let result = await acp.install(["./" + path.relative(cwd, dependent), ...specs], { cwd, logger: createLogger() });
+
+    assert.deepStrictEqual(result.failures, []);
+    assert.deepStrictEqual(result.plugins.map(p => `${p.pluginName}@${p.version}`),
+        ["my-plug@1.1.0", "other@1.0.0", "my-plug@1.0.0"]);
+});
+
+test("doesn't report the plugins, lockfile and plugin index as updated in dry-run mode", async t => {
+    let cwd = createTmpDir(t);
+    fs.outputJsonSync(path.join(cwd, acp.pluginsFileName), { plugins: createPlugins(cwd, ["1.0.0"]) });
+    fs.mkdirpSync(path.join(cwd, acp.defaultTargetPath));
+    let logger = createLogger();
+
+    await acp.install([], { cwd, dryRun: true, logger });
+
+    assert.ok(!fs.existsSync(path.join(cwd, acp.lockfileName)));
+    assert.ok(!logger.messages.some(message => message.indexOf("Updated") !== -1));
+    assert.ok(logger.messages.some(message => message.indexOf(`"${acp.lockfileName}" would be updated.`) !== -1));
+    assert.ok(logger.messages.some(message => message.indexOf(`Would install plugin "acme/my-plug"`) !== -1));
+});
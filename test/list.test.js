@@ -0,0 +1,20 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir } = require("./helpers");
+
+test("sorts installed versions by semver, with non-semver folders first", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = path.join(cwd, acp.defaultTargetPath, "acme", "my-plug");
+    for (let version of ["1.0.0", "1.0.0-beta.10", "legacy", "1.0.0-beta.2", "0.10.0", "0.9.0", "backup"]) {
+        fs.outputFileSync(path.join(pluginPath, version, "index.js"), "");
+    }
+
+    let { plugins } = await acp.list({ cwd });
+
+    assert.deepStrictEqual(plugins.map(p => p.versions),
+        [["backup", "legacy", "0.9.0", "0.10.0", "1.0.0-beta.2", "1.0.0-beta.10", "1.0.0"]]);
+});
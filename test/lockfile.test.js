@@ -0,0 +1,68 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let pacote = require("pacote");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin, startRegistry } = require("./helpers");
+
+/**
+ * Declares "@acme/my-plug@^1.0.0" in the plugins file of a host app, served by a local registry with version 1.0.0
+ */
+async function createHostApp(/** @type {import("node:test").TestContext} */ t) {
+    let cwd = createTmpDir(t);
+    let registry = await startRegistry(t, [createPlugin(path.join(cwd, "my-plug-1.0.0"))]);
+    fs.outputJsonSync(path.join(cwd, acp.pluginsFileName), { plugins: ["@acme/my-plug@^1.0.0"] });
+    let install = () => acp.install([], { cwd, registry: registry.url, logger: createLogger() });
+    return { cwd, registry, install };
+}
+
+test("records the declared plugins in the lockfile", async t => {
+    let { cwd, registry, install } = await createHostApp(t);
+
+    let result = await install();
+
+    assert.strictEqual(result.lockfilePath, path.join(cwd, acp.lockfileName));
+    let lockfile = fs.readJsonSync(path.join(cwd, acp.lockfileName));
+    assert.deepStrictEqual(Object.keys(lockfile.plugins), ["@acme/my-plug@^1.0.0"]);
+    let { integrity, ...locked } = lockfile.plugins["@acme/my-plug@^1.0.0"];
+    assert.deepStrictEqual(locked, {
+        publisher: "acme", pluginName: "my-plug", version: "1.0.0", resolved: `${registry.url}1.0.0.tgz`
+    });
+    assert.match(integrity, /^sha512-/);
+});
+
+test("reinstalls the locked versions until the lockfile entry is removed", async t => {
+    let { cwd, registry, install } = await createHostApp(t);
+    await install();
+    registry.publish(createPlugin(path.join(cwd, "my-plug-1.1.0"), { version: "1.1.0" }));
+    // pacote keeps the fetched package metadata in memory for a few minutes
+    pacote.clearMemoized();
+    fs.removeSync(path.join(cwd, acp.defaultTargetPath));
+
+    let locked = await install();
+    assert.deepStrictEqual(locked.plugins.map(p => p.version), ["1.0.0"]);
+
+    fs.removeSync(path.join(cwd, acp.lockfileName));
+    let unlocked = await install();
+    assert.deepStrictEqual(unlocked.plugins.map(p => p.version), ["1.1.0"]);
+    assert.strictEqual(fs.readJsonSync(path.join(cwd, acp.lockfileName)).plugins["@acme/my-plug@^1.0.0"].version,
+        "1.1.0");
+});
+
+test("fails if a locked package doesn't match the recorded integrity, leaving the lockfile untouched", async t => {
+    let { cwd, install } = await createHostApp(t);
+    await install();
+    let lockfilePath = path.join(cwd, acp.lockfileName);
+    let lockfile = fs.readJsonSync(lockfilePath);
+    lockfile.plugins["@acme/my-plug@^1.0.0"].integrity = "sha512-" + Buffer.alloc(64).toString("base64");
+    fs.writeJsonSync(lockfilePath, lockfile);
+    fs.removeSync(path.join(cwd, acp.defaultTargetPath));
+
+    let result = await install();
+
+    assert.deepStrictEqual(result.failures.map(f => f.code), ["EINTEGRITY"]);
+    assert.strictEqual(result.lockfilePath, void 0);
+    assert.deepStrictEqual(fs.readJsonSync(lockfilePath), lockfile);
+});
@@ -0,0 +1,23 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin, startRegistry } = require("./helpers");
+
+test("authenticates with the token from npm_config__authToken", async t => {
+    let cwd = createTmpDir(t);
+    let registry = await startRegistry(t, [createPlugin(path.join(cwd, "my-plug"))], "secret");
+    process.env.npm_config__authToken = "secret";
+    process.env.npm_config_userconfig = path.join(cwd, ".npmrc");
+    t.after(() => {
+        delete process.env.npm_config__authToken;
+        delete process.env.npm_config_userconfig;
+    });
+
+    let result = await acp.install(["@acme/my-plug"], { cwd, registry: registry.url, logger: createLogger() });
+
+    assert.deepStrictEqual(result.failures, []);
+    assert.ok(fs.existsSync(path.join(cwd, acp.defaultTargetPath, "acme", "my-plug", "1.0.0", "index.js")));
+});
@@ -0,0 +1,57 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+async function packPlugin(/** @type string */ cwd, /** @type string */ version) {
+    let pluginPath = createPlugin(path.join(cwd, `src-${version}`), { version });
+    let { archivePath } = await acp.pack({ cwd: pluginPath, outDir: path.join(cwd, "packs"), logger: createLogger() });
+    // Repacked versions are published under the same archive path
+    let publishedPath = path.join(cwd, "packs", "acme-my-plug.tgz");
+    fs.moveSync(archivePath, publishedPath, { overwrite: true });
+    return "./packs/acme-my-plug.tgz";
+}
+
+test("uninstalls a plugin given the archive it was installed from", async t => {
+    let cwd = createTmpDir(t);
+    let spec = await packPlugin(cwd, "1.0.0");
+    await acp.install([spec], { cwd, logger: createLogger() });
+    assert.ok(fs.existsSync(path.join(cwd, "dist/plugins/acme/my-plug/1.0.0/index.js")));
+
+    let result = await acp.uninstall([spec], { cwd, logger: createLogger() });
+
+    assert.deepStrictEqual(result.plugins.map(p => [p.publisher, p.pluginName, p.version]),
+        [["acme", "my-plug", "1.0.0"]]);
+    assert.ok(!fs.existsSync(path.join(cwd, "dist/plugins/acme/my-plug")));
+});
+
+test("updates a plugin installed from an archive when the archive is repacked", async t => {
+    let cwd = createTmpDir(t);
+    let spec = await packPlugin(cwd, "1.0.0");
+    await acp.install([spec], { cwd, logger: createLogger() });
+    await packPlugin(cwd, "1.1.0");
+
+    let { plugins: outdatedPlugins } = await acp.outdated({ cwd, logger: createLogger() });
+    assert.deepStrictEqual(outdatedPlugins.map(p => [p.current, p.wanted, p.latest]), [["1.0.0", "1.1.0", "1.1.0"]]);
+
+    await acp.update([], { cwd, logger: createLogger() });
+    assert.deepStrictEqual((await acp.list({ cwd })).plugins.map(p => p.versions), [["1.0.0", "1.1.0"]]);
+});
+
+test("rejects package specs pointing to files that aren't archives", async t => {
+    let cwd = createTmpDir(t);
+    fs.writeFileSync(path.join(cwd, "text.tgz"), "not an archive\n");
+    // A gzip header followed by garbage
+    let corruptArchive = Buffer.concat([Buffer.from([0x1f, 0x8b, 8, 0]), Buffer.alloc(64, 7)]);
+    fs.writeFileSync(path.join(cwd, "corrupt.tgz"), corruptArchive);
+
+    let { failures } = await acp.install(["./text.tgz", "./corrupt.tgz"], { cwd, logger: createLogger() });
+
+    assert.deepStrictEqual(failures.map(f => [f.code, f.message.replace(cwd + path.sep, "")]), [
+        ["EINVALID", `"text.tgz" is not a valid package archive.`],
+        ["EINVALID", `"corrupt.tgz" is not a valid package archive (zlib: invalid block type).`]
+    ]);
+});
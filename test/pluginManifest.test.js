@@ -0,0 +1,50 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+/**
+ * Writes a plugin that bundles its own plugin-api package, with the given generateManifest implementation
+ */
+function createPluginWithGenerator(/** @type string */ pluginPath, /** @type string */ generatorSource) {
+    createPlugin(pluginPath, { bundleDependencies: ["plugin-api"] });
+    let pluginApiPath = path.join(pluginPath, "node_modules", "plugin-api");
+    fs.outputJsonSync(path.join(pluginApiPath, "package.json"), { name: "plugin-api", version: "1.0.0" });
+    fs.outputFileSync(path.join(pluginApiPath, "build", "generateManifest.js"),
+        `exports.generateManifest = ${generatorSource};\n`);
+    return "./" + path.basename(pluginPath);
+}
+
+function readInstalledManifest(/** @type string */ cwd) {
+    return fs.readJsonSync(path.join(cwd, "dist/plugins/acme/my-plug/1.0.0/.acp-install.json")).manifest;
+}
+
+test("generates the manifest with the plugin's plugin-api package, outside of the CLI process", async t => {
+    let cwd = createTmpDir(t);
+    let spec = createPluginWithGenerator(path.join(cwd, "my-plug"), `packageJson => ({
+        name: packageJson.publisher + "/" + packageJson.pluginName,
+        secret: process.env.ACP_TEST_SECRET || null
+    })`);
+    process.env.ACP_TEST_SECRET = "secret";
+    t.after(() => { delete process.env.ACP_TEST_SECRET; });
+
+    await acp.install([spec], { cwd, cleanEnv: true, logger: createLogger() });
+
+    assert.deepStrictEqual(readInstalledManifest(cwd), { name: "acme/my-plug", secret: null });
+    assert.ok(!Object.keys(require.cache).some(file => file.indexOf("generateManifest") !== -1));
+});
+
+test("falls back to the plugin identity when generating the manifest fails", async t => {
+    let cwd = createTmpDir(t);
+    let spec = createPluginWithGenerator(path.join(cwd, "my-plug"), `() => { throw new TypeError("boom"); }`);
+    let logger = createLogger();
+
+    let result = await acp.install([spec], { cwd, logger });
+
+    assert.deepStrictEqual(result.failures, []);
+    assert.deepStrictEqual(readInstalledManifest(cwd), { publisher: "acme", pluginName: "my-plug", version: "1.0.0" });
+    assert.ok(logger.warnings.some(warning => /runtime manifest .*\(TypeError: boom\)/.test(warning)));
+});
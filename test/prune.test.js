@@ -0,0 +1,49 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, installPluginVersions } = require("./helpers");
+
+test("removes all but the newest versions", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = await installPluginVersions(cwd, ["1.0.0", "1.1.0", "1.2.0"]);
+
+    let result = await acp.prune({ cwd, keep: 2, logger: createLogger() });
+
+    assert.deepStrictEqual(result.removed.map(r => [r.version, r.reason]), [["1.0.0", "old"]]);
+    assert.deepStrictEqual(fs.readdirSync(pluginPath), ["1.1.0", "1.2.0"]);
+});
+
+test("prunes broken installs, even if they are the newest version", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = await installPluginVersions(cwd, ["1.0.0", "1.1.0"]);
+    fs.removeSync(path.join(pluginPath, "1.1.0", "index.js"));
+
+    let result = await acp.prune({ cwd, logger: createLogger() });
+
+    assert.deepStrictEqual(result.removed.map(r => [r.version, r.reason]), [["1.1.0", "broken"]]);
+    assert.deepStrictEqual(fs.readdirSync(pluginPath), ["1.0.0"]);
+});
+
+test("removes the plugin folder when its only install is broken", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = await installPluginVersions(cwd, ["1.0.0"]);
+    fs.removeSync(path.join(pluginPath, "1.0.0", "index.js"));
+
+    await acp.prune({ cwd, logger: createLogger() });
+
+    assert.ok(!fs.existsSync(pluginPath));
+});
+
+test("reports broken installs once and keeps the newest good versions in dry-run mode", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = await installPluginVersions(cwd, ["1.0.0", "1.1.0", "1.2.0"]);
+    fs.removeSync(path.join(pluginPath, "1.2.0", "index.js"));
+
+    let result = await acp.prune({ cwd, keep: 1, dryRun: true, logger: createLogger() });
+
+    assert.deepStrictEqual(result.removed.map(r => [r.version, r.reason]), [["1.2.0", "broken"], ["1.0.0", "old"]]);
+    assert.deepStrictEqual(fs.readdirSync(pluginPath), ["1.0.0", "1.1.0", "1.2.0"]);
+});
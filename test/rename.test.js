@@ -0,0 +1,129 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger } = require("./helpers");
+
+/**
+ * Writes a plugin project for acme/my-plug with the given webpack config files (relative path -> source)
+ */
+function createProject(/** @type string */ cwd, /** @type {Object.<string, string>} */ configFiles) {
+    fs.outputJsonSync(path.join(cwd, "package.json"),
+        { name: "@acme/my-plug", publisher: "acme", pluginName: "my-plug", version: "1.0.0" });
+    for (let file of Object.keys(configFiles)) {
+        fs.outputFileSync(path.join(cwd, file), configFiles[file]);
+    }
+}
+
+function renameOptions(/** @type string */ cwd) {
+    return { cwd, publisher: "globex", pluginName: "other-plug", npmPackageName: "@globex/other-plug",
+        npmInstall: false, logger: createLogger() };
+}
+
+test("renames a single-quoted library name and updates package.json", async t => {
+    let cwd = createTmpDir(t);
+    createProject(cwd, {
+        "webpack.config.js":
+            `module.exports = {\n    output: { library: '__acme__myPlug', libraryTarget: "jsonp" }\n};\n`
+    });
+
+    await acp.rename(renameOptions(cwd));
+
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "webpack.config.js"), "utf-8"),
+        `module.exports = {\n    output: { library: '__globex__otherPlug', libraryTarget: "jsonp" }\n};\n`);
+    assert.deepStrictEqual(fs.readJsonSync(path.join(cwd, "package.json")),
+        { name: "@globex/other-plug", publisher: "globex", pluginName: "other-plug", version: "1.0.0" });
+});
+
+test("renames a library name held in a variable", async t => {
+    let cwd = createTmpDir(t);
+    createProject(cwd, {
+        "webpack.config.js": `const libraryName = "__acme__myPlug";\n` +
+            `module.exports = { output: { library: libraryName, libraryTarget: "jsonp" } };\n`
+    });
+
+    await acp.rename(renameOptions(cwd));
+
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "webpack.config.js"), "utf-8"),
+        `const libraryName = "__globex__otherPlug";\n` +
+        `module.exports = { output: { library: libraryName, libraryTarget: "jsonp" } };\n`);
+});
+
+test("renames a library name defined in a split config file", async t => {
+    let cwd = createTmpDir(t);
+    createProject(cwd, {
+        "webpack.config.js": `const common = require("./webpack/common");\n` +
+            `module.exports = Object.assign({}, common, { mode: "production" });\n`,
+        "webpack/common.js":
+            `module.exports = {\n    output: { library: { name: \`__acme__myPlug\`, type: "jsonp" } }\n};\n`
+    });
+
+    await acp.rename(renameOptions(cwd));
+
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "webpack", "common.js"), "utf-8"),
+        `module.exports = {\n    output: { library: { name: \`__globex__otherPlug\`, type: "jsonp" } }\n};\n`);
+});
+
+test("updates plugin URIs and library references in the sources, README and .vscode settings", async t => {
+    let cwd = createTmpDir(t);
+    createProject(cwd, {
+        "webpack.config.js": `module.exports = { output: { library: "__acme__myPlug", libraryTarget: "jsonp" } };\n`,
+        "src/index.ts": `let page = "page://acme/my-plug/home";\n` +
+            `let module = 'module://acme/my-plug.v2/x';\n` +
+            `let other = "plugin://acme/my-plug-extra";\n` +
+            `window.__acme__myPlug = 1; window.__acme__myPlugX = 2;\n`,
+        "README.md": "# <plugin_name>\n\nInstall <package_name> (plugin://acme/my-plug), published by <publisher>.\n",
+        ".vscode/settings.json": `{ "cms.plugin": "plugin://acme/my-plug" }\n`
+    });
+    let logger = createLogger();
+
+    await acp.rename({ ...renameOptions(cwd), logger });
+
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "src", "index.ts"), "utf-8"),
+        `let page = "page://globex/other-plug/home";\n` +
+        `let module = 'module://acme/my-plug.v2/x';\n` +
+        `let other = "plugin://acme/my-plug-extra";\n` +
+        `window.__globex__otherPlug = 1; window.__acme__myPlugX = 2;\n`);
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "README.md"), "utf-8"),
+        "# other-plug\n\nInstall @globex/other-plug (plugin://globex/other-plug), published by globex.\n");
+    assert.strictEqual(fs.readFileSync(path.join(cwd, ".vscode", "settings.json"), "utf-8"),
+        `{ "cms.plugin": "plugin://globex/other-plug" }\n`);
+    assert.deepStrictEqual(logger.messages.filter(m => m.startsWith("Updated")).sort(), [
+        `Updated ".vscode${path.sep}settings.json".`,
+        `Updated "README.md".`,
+        `Updated "package.json".`,
+        `Updated "src${path.sep}index.ts".`,
+        `Updated "webpack.config.js".`
+    ]);
+});
+
+test("fails without changing anything if the library setting can't be found", async t => {
+    let cwd = createTmpDir(t);
+    let webpackConfig = `module.exports = { output: { filename: "index.js" } };\n`;
+    createProject(cwd, { "webpack.config.js": webpackConfig });
+    let packageJson = fs.readFileSync(path.join(cwd, "package.json"), "utf-8");
+
+    await assert.rejects(acp.rename(renameOptions(cwd)), {
+        code: "EMANIFEST",
+        message: `Couldn't find the webpack "output.library" setting in "${path.join(cwd, "webpack.config.js")}" ` +
+            `or in the local files it requires.`
+    });
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "package.json"), "utf-8"), packageJson);
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "webpack.config.js"), "utf-8"), webpackConfig);
+});
+
+test("fails if the library name isn't a static string", async t => {
+    let cwd = createTmpDir(t);
+    createProject(cwd, {
+        "webpack.config.js":
+            `module.exports = {\n    output: { library: process.env.LIBRARY, libraryTarget: "jsonp" }\n};\n`
+    });
+
+    await assert.rejects(acp.rename(renameOptions(cwd)), {
+        code: "EMANIFEST",
+        message: `Can't determine the webpack library name set at "${path.join(cwd, "webpack.config.js")}" ` +
+            `(line 2). Use a string literal or a variable holding one.`
+    });
+});
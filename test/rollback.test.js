@@ -0,0 +1,60 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+/**
+ * Lists the files left in the plugin folders of the target folder, including the hidden staging and backup folders
+ */
+function listTargetFiles(/** @type string */ cwd) {
+    let publisherPath = path.join(cwd, acp.defaultTargetPath, "acme");
+    /** @type string[] */
+    let files = [];
+    let walk = (/** @type string */ dir) => fs.readdirSync(dir).forEach(entry => {
+        let entryPath = path.join(dir, entry);
+        if (fs.statSync(entryPath).isDirectory()) {
+            walk(entryPath);
+        } else {
+            files.push(path.relative(publisherPath, entryPath).replace(/\\/g, "/"));
+        }
+    });
+    walk(publisherPath);
+    return files.sort();
+}
+
+test("keeps the installed copy if reinstalling it fails to build", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = createPlugin(path.join(cwd, "my-plug"), { scripts: { build: "node -e process.exit(1)" } });
+    await acp.install(["./my-plug"], { cwd, logger: createLogger() });
+    let filesBefore = listTargetFiles(cwd);
+    fs.removeSync(path.join(pluginPath, "dist"));
+
+    let buildLog = path.join(cwd, "build.log");
+    let { failures } = await acp.install(["./my-plug"], { cwd, buildLog, logger: createLogger() });
+
+    assert.deepStrictEqual(failures.map(f => f.code), ["EBUILD"]);
+    assert.deepStrictEqual(listTargetFiles(cwd), filesBefore);
+});
+
+test("restores the replaced installs if moving the new one into place fails", async t => {
+    let cwd = createTmpDir(t);
+    createPlugin(path.join(cwd, "my-plug"));
+    await acp.install(["./my-plug"], { cwd, logger: createLogger() });
+    let filesBefore = listTargetFiles(cwd);
+
+    // Switching to a --dev install replaces the whole plugin folder, so it is moved aside first
+    let renameSync = fs.renameSync;
+    t.mock.method(fs, "renameSync", (/** @type string */ from, /** @type string */ to) => {
+        if (/\.acp-staging-/.test(from)) {
+            throw Object.assign(new Error(`EACCES: permission denied, rename '${from}'`), { code: "EACCES" });
+        }
+        return renameSync(from, to);
+    });
+    let { failures } = await acp.install(["./my-plug"], { cwd, dev: true, logger: createLogger() });
+
+    assert.deepStrictEqual(failures.map(f => f.code), ["EINTERNAL"]);
+    assert.deepStrictEqual(listTargetFiles(cwd), filesBefore);
+});
@@ -0,0 +1,85 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger } = require("./helpers");
+
+/**
+ * Writes a local template package, whose acp-template.json declares the given placeholders
+ */
+function createTemplate(/** @type string */ templatePath, /** @type string[] */ placeholders) {
+    fs.outputJsonSync(path.join(templatePath, "package.json"), { name: "acme-template", version: "1.0.0" });
+    fs.outputJsonSync(path.join(templatePath, "acp-template.json"),
+        { placeholders, rename: { "gitignore.tpl": ".gitignore" } });
+    fs.outputJsonSync(path.join(templatePath, "template", "package.json"), {
+        name: "<package_name>",
+        publisher: "<publisher>",
+        pluginName: "<plugin_name>",
+        version: "0.1.0"
+    });
+    fs.outputFileSync(path.join(templatePath, "template", "webpack.config.js"),
+        `module.exports = { output: { library: "<library_name>", libraryTarget: "jsonp" } };\n`);
+    fs.outputFileSync(path.join(templatePath, "template", "src", "README.md"), `# <plugin_name> by <publisher>\n`);
+    fs.outputFileSync(path.join(templatePath, "template", "gitignore.tpl"), "dist\n");
+    fs.outputFileSync(path.join(templatePath, "template", "logo.png"), Buffer.from([0x89, 0, 0x3c, 0x70, 0x3e]));
+}
+
+test("substitutes the declared placeholders in the template files", async t => {
+    let tmpDir = createTmpDir(t);
+    let templatePath = path.join(tmpDir, "template");
+    let cwd = path.join(tmpDir, "plugin");
+    createTemplate(templatePath, ["<publisher>", "<plugin_name>", "<package_name>", "<library_name>"]);
+    fs.mkdirpSync(cwd);
+
+    await acp.init({ cwd, publisher: "acme", pluginName: "my-plug", npmPackageName: "@acme/my-plug",
+        template: "file:" + templatePath, npmInstall: false, logger: createLogger() });
+
+    assert.deepStrictEqual(fs.readJsonSync(path.join(cwd, "package.json")),
+        { name: "@acme/my-plug", publisher: "acme", pluginName: "my-plug", version: "0.1.0" });
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "webpack.config.js"), "utf-8"),
+        `module.exports = { output: { library: "__acme__myPlug", libraryTarget: "jsonp" } };\n`);
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "src", "README.md"), "utf-8"), `# my-plug by acme\n`);
+    assert.strictEqual(fs.readFileSync(path.join(cwd, ".gitignore"), "utf-8"), "dist\n");
+    assert.deepStrictEqual(fs.readFileSync(path.join(cwd, "logo.png")), Buffer.from([0x89, 0, 0x3c, 0x70, 0x3e]));
+    assert.ok(!fs.existsSync(path.join(cwd, "acp-template.json")));
+});
+
+test("leaves undeclared placeholders and omits an empty package name", async t => {
+    let tmpDir = createTmpDir(t);
+    let templatePath = path.join(tmpDir, "template");
+    let cwd = path.join(tmpDir, "plugin");
+    createTemplate(templatePath, ["<publisher>", "<package_name>"]);
+    fs.mkdirpSync(cwd);
+
+    await acp.init({ cwd, publisher: "acme", pluginName: "my-plug",
+        template: "file:" + templatePath, npmInstall: false, logger: createLogger() });
+
+    assert.deepStrictEqual(fs.readJsonSync(path.join(cwd, "package.json")),
+        { publisher: "acme", pluginName: "<plugin_name>", version: "0.1.0" });
+    assert.strictEqual(fs.readFileSync(path.join(cwd, "src", "README.md"), "utf-8"), `# <plugin_name> by acme\n`);
+});
+
+test("rejects unsupported placeholders and packages without a template manifest", async t => {
+    let tmpDir = createTmpDir(t);
+    let templatePath = path.join(tmpDir, "template");
+    let cwd = path.join(tmpDir, "plugin");
+    createTemplate(templatePath, ["<publisher>", "<author>"]);
+    fs.mkdirpSync(cwd);
+    let options = { cwd, publisher: "acme", pluginName: "my-plug",
+        template: "file:" + templatePath, npmInstall: false, logger: createLogger() };
+
+    await assert.rejects(acp.init(options), {
+        code: "EMANIFEST",
+        message: `Template uses unsupported placeholder(s) <author>. ` +
+            `Supported placeholders: <publisher>, <plugin_name>, <package_name>, <library_name>.`
+    });
+    assert.deepStrictEqual(fs.readdirSync(cwd), []);
+
+    fs.removeSync(path.join(templatePath, "acp-template.json"));
+    await assert.rejects(acp.init(options), {
+        code: "EMANIFEST",
+        message: `"file:${templatePath}" is not a plugin template. Missing "acp-template.json".`
+    });
+});
@@ -0,0 +1,57 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+async function installPlugin(/** @type string */ cwd, /** @type string */ version = "1.0.0") {
+    let pluginPath = createPlugin(path.join(cwd, `src-${version}`), { version });
+    await acp.install(["./" + path.relative(cwd, pluginPath)], { cwd, logger: createLogger() });
+}
+
+test("uninstalls a plugin version selected by publisher/plugin_name@version", async t => {
+    let cwd = createTmpDir(t);
+    await installPlugin(cwd, "1.0.0");
+    await installPlugin(cwd, "1.1.0");
+
+    let result = await acp.uninstall(["acme/my-plug@1.0.0"], { cwd, logger: createLogger() });
+
+    assert.deepStrictEqual(result.plugins.map(p => p.version), ["1.0.0"]);
+    assert.deepStrictEqual((await acp.list({ cwd })).plugins.map(p => p.versions), [["1.1.0"]]);
+});
+
+test("fails without fetching anything if a selector matches no installed plugin", async t => {
+    let cwd = createTmpDir(t);
+    await installPlugin(cwd);
+
+    await assert.rejects(acp.uninstall(["nope/thing"], { cwd, logger: createLogger() }), {
+        code: "EINVALID", message: /"nope\/thing" is not installed .* use "github:nope\/thing"/
+    });
+});
+
+test("warns if a wildcard selector matches no installed plugin", async t => {
+    let cwd = createTmpDir(t);
+    await installPlugin(cwd);
+    let logger = createLogger();
+
+    let result = await acp.uninstall(["nope/*"], { cwd, logger });
+
+    assert.deepStrictEqual(result.plugins, []);
+    assert.ok(logger.warnings.some(warning => warning.indexOf(`No installed plugins match "nope/*"`) !== -1));
+});
+
+test("reports what would be uninstalled in dry-run mode", async t => {
+    let cwd = createTmpDir(t);
+    await installPlugin(cwd);
+    let logger = createLogger();
+    /** @type {any[]} */
+    let events = [];
+
+    await acp.uninstall(["acme/my-plug"], { cwd, dryRun: true, logger, onEvent: event => { events.push(event); } });
+
+    assert.deepStrictEqual((await acp.list({ cwd })).plugins.map(p => p.versions), [["1.0.0"]]);
+    assert.ok(logger.messages.some(message => message.indexOf(`Would uninstall plugin "acme/my-plug"`) !== -1));
+    assert.ok(!logger.messages.some(message => message.indexOf("Uninstalled") !== -1));
+    assert.deepStrictEqual(events.filter(e => e.type === "uninstalled").map(e => e.dryRun), [true]);
+});
@@ -0,0 +1,57 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+test("records local specs as absolute paths, so updates work from other folders", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = createPlugin(path.join(cwd, "src", "my-plug"));
+    await acp.install(["./src/my-plug"], { cwd, logger: createLogger() });
+    let metadataPath = path.join(cwd, "dist/plugins/acme/my-plug/1.0.0/.acp-install.json");
+    assert.strictEqual(fs.readJsonSync(metadataPath).spec, "file:" + pluginPath);
+
+    createPlugin(pluginPath, { version: "1.1.0" });
+    let target = path.join(cwd, "dist/plugins");
+    let otherCwd = path.join(cwd, "src");
+    let { plugins: outdated } = await acp.outdated({ cwd: otherCwd, target, logger: createLogger() });
+    assert.deepStrictEqual(outdated.map(p => p.wanted), ["1.1.0"]);
+
+    let result = await acp.update([], { cwd: otherCwd, target, logger: createLogger() });
+    assert.deepStrictEqual(result.plugins.map(p => p.version), ["1.1.0"]);
+});
+
+test("reports plugins that fail to update and goes on with the others", async t => {
+    let cwd = createTmpDir(t);
+    createPlugin(path.join(cwd, "a"), { pluginName: "a" });
+    createPlugin(path.join(cwd, "b"), { pluginName: "b" });
+    await acp.install(["./a", "./b"], { cwd, logger: createLogger() });
+    fs.removeSync(path.join(cwd, "a"));
+    createPlugin(path.join(cwd, "b"), { pluginName: "b", version: "1.1.0" });
+
+    let outdated = await acp.outdated({ cwd, logger: createLogger() });
+    assert.deepStrictEqual(outdated.plugins.map(p => p.pluginName), ["b"]);
+    assert.deepStrictEqual(outdated.failures.map(f => [f.pluginName, f.code]), [["a", "EINVALID"]]);
+
+    let logger = createLogger();
+    let result = await acp.update([], { cwd, logger });
+    assert.deepStrictEqual(result.plugins.map(p => `${p.pluginName}@${p.version}`), ["b@1.1.0"]);
+    assert.deepStrictEqual(result.failures.map(f => f.pluginName), ["a"]);
+    assert.ok(logger.warnings.some(warning => warning.indexOf(`Failed to update "acme/a"`) === 0));
+});
+
+test("prunes only the versions older than the updated one", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = createPlugin(path.join(cwd, "src"), { version: "1.0.0" });
+    await acp.install(["./src"], { cwd, logger: createLogger() });
+    createPlugin(pluginPath, { version: "2.0.0" });
+    await acp.install(["./src"], { cwd, logger: createLogger() });
+    createPlugin(pluginPath, { version: "1.1.0" });
+
+    let result = await acp.update([], { cwd, prune: true, logger: createLogger() });
+
+    assert.deepStrictEqual(result.plugins.map(p => p.version), ["1.1.0"]);
+    assert.deepStrictEqual((await acp.list({ cwd })).plugins.map(p => p.versions), [["1.1.0", "2.0.0"]]);
+});
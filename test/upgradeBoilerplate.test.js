@@ -0,0 +1,90 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger } = require("./helpers");
+
+let historyPath = path.join(__dirname, "..", "boilerplate", "history");
+
+/**
+ * Generates a plugin the way "acp init" did in an older version, from the boilerplate snapshot of that version
+ */
+async function initFromSnapshot(/** @type string */ version, /** @type string */ flavor, /** @type string */ cwd) {
+    fs.copySync(path.join(historyPath, version, flavor), cwd);
+    if (fs.existsSync(path.join(cwd, "npmignore.tpl"))) {
+        fs.renameSync(path.join(cwd, "npmignore.tpl"), path.join(cwd, ".npmignore"));
+    }
+    if (fs.existsSync(path.join(cwd, "gitignore.tpl"))) {
+        fs.renameSync(path.join(cwd, "gitignore.tpl"), path.join(cwd, ".gitignore"));
+    }
+    await acp.rename({
+        publisher: "acme", pluginName: "my-plug", npmPackageName: "@acme/my-plug",
+        cwd, npmInstall: false, logger: createLogger()
+    });
+}
+
+function editFile(/** @type string */ filePath, /** @type string */ search, /** @type string */ replacement) {
+    let text = fs.readFileSync(filePath, "utf-8");
+    assert.ok(text.includes(search), `"${search}" not found in ${filePath}`);
+    fs.writeFileSync(filePath, text.replace(search, replacement));
+}
+
+for (let flavor of ["ts", "js"]) {
+    test(`upgrades a ${flavor} plugin generated from boilerplate 1.0.0-beta.4, keeping local changes`, async t => {
+        let cwd = createTmpDir(t);
+        await initFromSnapshot("1.0.0-beta.4", flavor, cwd);
+        editFile(path.join(cwd, "webpack.config.js"), "aggregateTimeout: 0", "aggregateTimeout: 300");
+        editFile(path.join(cwd, "package.json"), `"version": "1.0.0"`, `"version": "2.3.0"`);
+
+        let result = await acp.upgradeBoilerplate([cwd], { logger: createLogger() });
+
+        let [plugin] = result.plugins;
+        assert.strictEqual(result.conflicts, 0);
+        assert.strictEqual(plugin.fromVersion, "1.0.0-beta.4");
+        assert.strictEqual(plugin.toVersion, "1.0.0-beta.5");
+        assert.deepStrictEqual(plugin.files.filter(f => f.status === "updated").map(f => f.file),
+            ["package.json", "webpack.config.js"]);
+
+        let webpackConfig = fs.readFileSync(path.join(cwd, "webpack.config.js"), "utf-8");
+        assert.match(webpackConfig, /require\("plugin-api\/build\/generateManifest"\)/);
+        assert.match(webpackConfig, /'__plugin_manifest__': JSON\.stringify\(generateManifest\(/);
+        assert.match(webpackConfig, /aggregateTimeout: 300/);
+        assert.match(webpackConfig, /library: "__acme__myPlug"/);
+
+        let packageJson = fs.readJsonSync(path.join(cwd, "package.json"));
+        assert.strictEqual(packageJson.version, "2.3.0");
+        assert.strictEqual(packageJson.engines["@alethio/cms"], "^1.0.0-beta.7");
+        assert.strictEqual(packageJson.devDependencies["plugin-api"], "npm:@alethio/cms-plugin-api@^1.0.0-beta.6");
+    });
+}
+
+test("adds the ignore files to a plugin generated from boilerplate 1.0.0-beta.3", async t => {
+    let cwd = createTmpDir(t);
+    await initFromSnapshot("1.0.0-beta.3", "ts", cwd);
+
+    let result = await acp.upgradeBoilerplate([cwd], { logger: createLogger() });
+
+    let [plugin] = result.plugins;
+    assert.strictEqual(plugin.fromVersion, "1.0.0-beta.3");
+    assert.deepStrictEqual(plugin.files.filter(f => f.status === "added").map(f => f.file),
+        [".gitignore", ".npmignore"]);
+    assert.ok(fs.existsSync(path.join(cwd, ".gitignore")));
+});
+
+test("leaves files with conflicting changes untouched", async t => {
+    let cwd = createTmpDir(t);
+    await initFromSnapshot("1.0.0-beta.4", "ts", cwd);
+    let webpackConfigPath = path.join(cwd, "webpack.config.js");
+    editFile(webpackConfigPath, "JSON.stringify(isDebug ? 'development' : 'production')",
+        "JSON.stringify(isDebug ? 'development' : 'production'),\n            '__version__': '\"1\"'");
+    let webpackConfig = fs.readFileSync(webpackConfigPath, "utf-8");
+
+    let result = await acp.upgradeBoilerplate([cwd], { logger: createLogger() });
+
+    assert.strictEqual(result.conflicts, 1);
+    assert.deepStrictEqual(result.plugins[0].files.find(f => f.file === "webpack.config.js"),
+        { file: "webpack.config.js", status: "conflict" });
+    assert.strictEqual(fs.readFileSync(webpackConfigPath, "utf-8"), webpackConfig);
+});
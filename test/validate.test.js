@@ -0,0 +1,42 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, createPlugin } = require("./helpers");
+
+let fixturesPath = path.join(__dirname, "fixtures", "webpack");
+
+/**
+ * Validates a plugin using the webpack config files from the given fixture folder
+ */
+async function validateWithConfig(/** @type {import("node:test").TestContext} */ t, /** @type string */ fixture) {
+    let pluginPath = createPlugin(createTmpDir(t), { scripts: { build: "webpack" } });
+    fs.outputFileSync(path.join(pluginPath, "src", "plugin.js"),
+        `export default {\n    getAvailableLocales() { return ["en-US"]; }\n};\n`);
+    fs.outputJsonSync(path.join(pluginPath, "src", "translation", "en-US.json"), {});
+    fs.copySync(path.join(fixturesPath, fixture), pluginPath);
+
+    let logger = createLogger();
+    let { problems } = await acp.validate({ cwd: pluginPath, logger });
+    return { problems, warnings: logger.warnings };
+}
+
+for (let fixture of ["single", "split", "merged", "webpack5", "assigned"]) {
+    test(`accepts a valid "${fixture}" webpack config`, async t => {
+        let { problems, warnings } = await validateWithConfig(t, fixture);
+        assert.deepStrictEqual(problems, []);
+        assert.deepStrictEqual(warnings, []);
+    });
+}
+
+test("reports the library target and missing externals of an invalid webpack config", async t => {
+    let { problems } = await validateWithConfig(t, "invalid");
+    assert.deepStrictEqual(problems, [
+        `Webpack library target must be "jsonp" (found "umd" at webpack.config.js:7).`,
+        `Webpack "externals" don't include "mobx". ` +
+            `The plugin would bundle its own copy instead of sharing the one from the CMS.`,
+        `Webpack "externals" don't include "plugin-api/*" modules.`
+    ]);
+});
@@ -0,0 +1,21 @@
+// @ts-check
+let { test } = require("node:test");
+let assert = require("node:assert");
+let fs = require("fs-extra");
+let path = require("path");
+let acp = require("..");
+let { createTmpDir, createLogger, installPluginVersions } = require("./helpers");
+
+test("reports installed versions whose index.js is missing", async t => {
+    let cwd = createTmpDir(t);
+    let pluginPath = await installPluginVersions(cwd, ["1.0.0", "1.1.0"]);
+    fs.removeSync(path.join(pluginPath, "1.1.0", "index.js"));
+
+    let result = await acp.verify({ cwd, logger: createLogger() });
+
+    assert.strictEqual(result.failed, 1);
+    assert.deepStrictEqual(result.plugins.map(p => [p.version, p.problems]), [
+        ["1.0.0", []],
+        ["1.1.0", [`Missing file "index.js"`]]
+    ]);
+});